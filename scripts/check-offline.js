@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Never post from here: everything the monitor would send is printed instead
+process.env.DRY_RUN = 'true';
+
+/**
+ * Run the monitor's checks without Discord, printing the embeds it would send and
+ * the seen-set changes it would make
+ * Usage: node scripts/check-offline.js [path] [--listings]
+ * With a path (a README, a listings.json or a directory of snapshots) only that is checked;
+ * otherwise the configured sources are. Snapshot directories are replayed one snapshot per check
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const localPath = args.find(arg => !arg.startsWith('--'));
+  
+  if (localPath) {
+    process.env.LISTING_SOURCES = JSON.stringify([{ id: 'local', path: localPath }]);
+  }
+  
+  const { getSources } = await import('../src/sources.js');
+  const { hasMoreSnapshots } = await import('../src/fetcher.js');
+  const { createDryRunClient } = await import('../src/dry-run.js');
+  const { restoreSeenListings, checkForUpdates, getAllListings } = await import('../src/github-monitor.js');
+  
+  const sources = await getSources();
+  const client = createDryRunClient();
+  const channelId = process.env.DISCORD_CHANNEL_ID || 'dry-run';
+  
+  await restoreSeenListings();
+  
+  let round = 1;
+  let moreSnapshots;
+  do {
+    moreSnapshots = (await Promise.all(sources.map(hasMoreSnapshots))).some(Boolean);
+    console.log(`\n▶️ Check ${round++}`);
+    await checkForUpdates(client, channelId);
+  } while (moreSnapshots);
+  
+  // Print what the parser made of the (last) file, for chasing parser bugs
+  if (args.includes('--listings')) {
+    console.log('\n📋 Parsed listings:');
+    for (const listing of await getAllListings()) {
+      const flags = Object.keys(listing.flags || {}).filter(flag => listing.flags[flag]);
+      console.log(`  [${listing.sourceId}] ${listing.category} | ${listing.company} | ${listing.role} | ${listing.location} | ${listing.age}${flags.length ? ` | ${flags.join(', ')}` : ''}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Offline check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Send a recorded GitHub webhook payload to the bot's receiver, signed like GitHub does
+ * Usage: node scripts/send-webhook.js <payload.json> [url]
+ */
+async function main() {
+  const [payloadFile, url] = process.argv.slice(2);
+  
+  if (!payloadFile) {
+    console.error('Usage: node scripts/send-webhook.js <payload.json> [url]');
+    process.exit(1);
+  }
+  
+  if (!process.env.WEBHOOK_SECRET) {
+    console.error('❌ WEBHOOK_SECRET is not set in .env file');
+    process.exit(1);
+  }
+  
+  const body = await fs.readFile(payloadFile);
+  const signature = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+  const target = url || `http://localhost:${process.env.WEBHOOK_PORT || 8080}${process.env.WEBHOOK_PATH || '/github-webhook'}`;
+  
+  const response = await fetch(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': 'push',
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': `sha256=${signature}`,
+    },
+    body,
+  });
+  
+  console.log(`${response.status} ${await response.text()}`);
+}
+
+main().catch(error => {
+  console.error('❌ Error sending webhook:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,456 @@
+import { EmbedBuilder, RESTJSONErrorCodes } from 'discord.js';
+import { parseSearchQuery } from './search-query.js';
+import { getCatalogEntries } from './catalog.js';
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('alerts.json');
+
+// Saved searches per user
+export const MAX_ALERTS = 10;
+
+// Highest daily cap a user can pick
+export const MAX_DAILY_CAP = 50;
+
+// Matches per DM embed
+const ALERT_PAGE_SIZE = 10;
+
+// Matches kept per user while DMs can't go out; the oldest are dropped past it
+const MAX_HELD = 50;
+
+// Failed DMs of a match before it's dropped
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+/**
+ * Load everyone's alerts, keyed by user id:
+ * { alerts: [{ id, query, createdAt }], nextId, quietHours: { start, end } | null, timezone,
+ *   dailyCap, sent: { date, count }, held: [match with heldFor: 'quiet' | 'failed', attempts: failed DMs so far] }
+ */
+async function loadAlerts() {
+  return await store.load();
+}
+
+/**
+ * A user's alert settings, with defaults filled in for anything they haven't set
+ */
+function getUserRecord(alerts, userId) {
+  return {
+    alerts: [],
+    nextId: 1,
+    quietHours: null,
+    timezone: null,
+    dailyCap: null,
+    sent: null,
+    held: [],
+    ...alerts[userId],
+  };
+}
+
+/**
+ * Daily cap for a user (ALERT_DAILY_CAP unless they set their own, default 10)
+ */
+function getDailyCap(record) {
+  return record.dailyCap || parseInt(process.env.ALERT_DAILY_CAP) || 10;
+}
+
+/**
+ * Time zone quiet hours and the daily cap are counted in (ALERT_TIMEZONE unless the user set one, default UTC)
+ */
+function getTimezone(record) {
+  return record.timezone || process.env.ALERT_TIMEZONE || 'UTC';
+}
+
+/**
+ * Check whether a time zone name is one the runtime knows, e.g. "America/New_York"
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local date ("2026-10-19") and minutes since midnight in a time zone
+ */
+function getLocalTime(timezone, date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+  };
+}
+
+/**
+ * Parse a time like "22", "22:30", "10pm" or "7:15am" into minutes since midnight, or null
+ */
+function parseTimeOfDay(text) {
+  const match = text.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a quiet hours range like "22-8", "22:00-07:30" or "10pm-7am"
+ * Returns { start, end } in minutes since midnight, or null
+ */
+export function parseQuietHours(text) {
+  const [startText, endText, ...rest] = (text || '').split('-');
+  if (!endText || rest.length > 0) return null;
+  
+  const start = parseTimeOfDay(startText);
+  const end = parseTimeOfDay(endText);
+  if (start === null || end === null || start === end) return null;
+  
+  return { start, end };
+}
+
+/**
+ * Format minutes since midnight as "22:00"
+ */
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describe quiet hours, e.g. "22:00–08:00 (America/New_York)"
+ */
+function describeQuietHours(record) {
+  if (!record.quietHours) return 'Off';
+  return `${formatTimeOfDay(record.quietHours.start)}–${formatTimeOfDay(record.quietHours.end)} (${getTimezone(record)})`;
+}
+
+/**
+ * Check whether it's currently quiet hours for a user; ranges can wrap past midnight
+ */
+function isQuietTime(record, now) {
+  if (!record.quietHours) return false;
+  
+  const { start, end } = record.quietHours;
+  const { minutes } = getLocalTime(getTimezone(record), now);
+  
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * How many alert matches a user has been sent today, in their time zone
+ */
+function getSentToday(record, now = new Date()) {
+  return record.sent?.date === getLocalTime(getTimezone(record), now).date ? record.sent.count : 0;
+}
+
+/**
+ * Count matches a user was just sent towards today's cap
+ */
+function addSentToday(record, count, now) {
+  record.sent = { date: getLocalTime(getTimezone(record), now).date, count: getSentToday(record, now) + count };
+}
+
+/**
+ * A user's saved searches and settings, for `?alert list`
+ */
+export async function getUserAlerts(userId) {
+  const record = getUserRecord(await loadAlerts(), userId);
+  
+  return {
+    alerts: record.alerts,
+    quietHours: describeQuietHours(record),
+    dailyCap: getDailyCap(record),
+    sentToday: getSentToday(record),
+    held: record.held.length,
+  };
+}
+
+/**
+ * Save a search for a user (the query should already parse)
+ * Returns the new alert, or null when the user has MAX_ALERTS already
+ */
+export async function addAlert(userId, query) {
+  return await store.update(alerts => {
+    const record = getUserRecord(alerts, userId);
+    
+    if (record.alerts.length >= MAX_ALERTS) {
+      return null;
+    }
+    
+    const alert = { id: record.nextId, query, createdAt: new Date().toISOString() };
+    record.alerts.push(alert);
+    record.nextId++;
+    
+    alerts[userId] = record;
+    return alert;
+  });
+}
+
+/**
+ * Delete one of a user's alerts
+ * Returns the removed alert, or null if they don't have one with that id
+ */
+export async function removeAlert(userId, alertId) {
+  return await store.update(alerts => {
+    const record = getUserRecord(alerts, userId);
+    const alert = record.alerts.find(a => a.id === alertId);
+    
+    if (!alert) {
+      return null;
+    }
+    
+    record.alerts = record.alerts.filter(a => a.id !== alertId);
+    alerts[userId] = record;
+    return alert;
+  });
+}
+
+/**
+ * Set or clear (null) a user's quiet hours, and optionally their time zone
+ * Returns the quiet hours as they'll be shown
+ */
+export async function setQuietHours(userId, quietHours, timezone = null) {
+  return await store.update(alerts => {
+    const record = getUserRecord(alerts, userId);
+    
+    record.quietHours = quietHours;
+    if (timezone) {
+      record.timezone = timezone;
+    }
+    
+    alerts[userId] = record;
+    return describeQuietHours(record);
+  });
+}
+
+/**
+ * Set how many alert matches a user gets per day
+ */
+export async function setDailyCap(userId, cap) {
+  await store.update(alerts => {
+    const record = getUserRecord(alerts, userId);
+    record.dailyCap = cap;
+    alerts[userId] = record;
+  });
+}
+
+/**
+ * The fields of a listing an alert DM shows, plus the alerts it matched
+ */
+function createAlertMatch(listing, alertIds) {
+  return {
+    id: listing.id,
+    company: listing.company,
+    role: listing.role,
+    location: listing.location,
+    applyLink: listing.applyLink,
+    emoji: listing.emoji,
+    alertIds,
+  };
+}
+
+/**
+ * DM title for some matches, saying why they come late when they were held
+ */
+function getAlertTitle(matches) {
+  const plural = matches.length > 1;
+  const quiet = matches.some(match => match.heldFor === 'quiet');
+  const failed = matches.some(match => match.heldFor === 'failed');
+  
+  if (!quiet && !failed) {
+    return `🔔 ${matches.length} new listing${plural ? 's' : ''} match${plural ? '' : 'es'} your alerts`;
+  }
+  
+  const when = [quiet && 'during quiet hours', failed && 'while I couldn\'t DM you'].filter(Boolean).join(' or ');
+  return `🔔 ${matches.length} listing${plural ? 's' : ''} matched your alerts ${when}`;
+}
+
+/**
+ * Build the DM embeds for a user's matches, ALERT_PAGE_SIZE per embed
+ */
+function createAlertEmbeds(record, matches, skipped) {
+  const queries = new Map(record.alerts.map(alert => [alert.id, alert.query]));
+  const embeds = [];
+  
+  for (let i = 0; i < matches.length; i += ALERT_PAGE_SIZE) {
+    const lines = matches.slice(i, i + ALERT_PAGE_SIZE).map((match, j) => {
+      const alerts = match.alertIds
+        .map(id => queries.has(id) ? `#${id} \`${queries.get(id)}\`` : `#${id}`)
+        .join(', ');
+      return `**${i + j + 1}.** ${match.emoji || '💼'} [${match.company} - ${match.role}](${match.applyLink})\n` +
+        `📍 ${match.location || 'Location not listed'} · 🔔 ${alerts}`;
+    });
+    
+    embeds.push(new EmbedBuilder()
+      .setDescription(lines.join('\n\n').slice(0, 4096))
+      .setColor(0x5865F2));
+  }
+  
+  embeds[0].setTitle(getAlertTitle(matches));
+  
+  const last = embeds[embeds.length - 1];
+  last.setTimestamp();
+  last.setFooter({
+    text: skipped > 0
+      ? `Daily limit of ${getDailyCap(record)} reached: ${skipped} more match${skipped > 1 ? 'es were' : ' was'} skipped. Change it with ?alert cap`
+      : 'Manage your alerts with ?alert list',
+  });
+  
+  return embeds;
+}
+
+/**
+ * DM a user their matches, as many as their daily cap still allows
+ * Returns how many were sent (0 when the cap was already reached or the user doesn't accept DMs),
+ * or null when the DM failed and is worth retrying
+ */
+async function deliverAlerts(client, userId, record, matches, now = new Date()) {
+  const remaining = Math.max(0, getDailyCap(record) - getSentToday(record, now));
+  const toSend = matches.slice(0, remaining);
+  const skipped = matches.length - toSend.length;
+  
+  if (toSend.length === 0) {
+    console.log(`🔕 Skipped ${skipped} alert match(es) for ${userId}, daily cap reached`);
+    return 0;
+  }
+  
+  try {
+    const user = await client.users.fetch(userId);
+    const embeds = createAlertEmbeds(record, toSend, skipped);
+    
+    // A message holds at most 10 embeds
+    for (let i = 0; i < embeds.length; i += 10) {
+      await user.send({ embeds: embeds.slice(i, i + 10) });
+    }
+    
+    console.log(`🔔 Sent ${toSend.length} alert match(es) to ${userId}${skipped > 0 ? ` (${skipped} over the daily cap)` : ''}`);
+    return toSend.length;
+  } catch (error) {
+    // Someone who closed their DMs won't get them on a retry either, so their matches are dropped
+    if (error.code === RESTJSONErrorCodes.CannotSendMessagesToThisUser) {
+      console.log(`🔕 Dropped ${toSend.length} alert match(es) for ${userId}, who doesn't accept DMs`);
+      return 0;
+    }
+    console.error(`Error sending alerts to ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Run new listings against everyone's saved searches and DM the matches,
+ * holding them until quiet hours end, or until the next check when the DM fails
+ */
+export async function sendListingAlerts(client, listings) {
+  const alerts = await loadAlerts();
+  const now = new Date();
+  const outcomes = new Map();
+  
+  for (const userId of Object.keys(alerts)) {
+    const record = getUserRecord(alerts, userId);
+    if (record.alerts.length === 0) continue;
+    
+    const queries = record.alerts
+      .map(alert => ({ alert, ...parseSearchQuery(alert.query) }))
+      .filter(query => !query.error);
+    
+    // New listings have new ids, so nobody has applied to them yet
+    const context = { appliedIds: new Set() };
+    
+    const matches = listings
+      .map(listing => createAlertMatch(
+        listing,
+        queries.filter(query => query.matches(listing, context)).map(query => query.alert.id)
+      ))
+      .filter(match => match.alertIds.length > 0);
+    
+    if (matches.length === 0) continue;
+    
+    if (isQuietTime(record, now)) {
+      outcomes.set(userId, { hold: matches.map(match => ({ ...match, heldFor: 'quiet' })), sent: 0 });
+      console.log(`🌙 Holding ${matches.length} alert match(es) for ${userId} until quiet hours end`);
+    } else {
+      // A failed DM holds the matches for the next check instead of losing them
+      const sent = await deliverAlerts(client, userId, record, matches, now);
+      outcomes.set(userId, { hold: sent === null ? matches.map(match => ({ ...match, heldFor: 'failed', attempts: 1 })) : [], sent: sent || 0 });
+    }
+  }
+  
+  if (outcomes.size === 0) return;
+  
+  // The DMs took a while, so apply what happened to the alerts as they are now
+  await store.update(latest => {
+    for (const [userId, { hold, sent }] of outcomes) {
+      const record = getUserRecord(latest, userId);
+      record.held = [...record.held, ...hold].slice(-MAX_HELD);
+      addSentToday(record, sent, now);
+      latest[userId] = record;
+    }
+  });
+}
+
+/**
+ * DM the held matches to everyone whose quiet hours have ended (or whose last DM failed),
+ * leaving out listings that closed in the meantime
+ */
+export async function flushHeldAlerts(client) {
+  const alerts = await loadAlerts();
+  const now = new Date();
+  const outcomes = new Map();
+  
+  for (const userId of Object.keys(alerts)) {
+    const record = getUserRecord(alerts, userId);
+    if (record.held.length === 0 || isQuietTime(record, now)) continue;
+    
+    const entries = await getCatalogEntries(record.held.map(match => match.id));
+    const closed = new Set(entries.filter(entry => entry.closedAt).map(entry => entry.id));
+    const matches = record.held.filter(match => !closed.has(match.id));
+    
+    const sent = matches.length > 0 ? await deliverAlerts(client, userId, record, matches, now) : 0;
+    
+    // Whatever the cap left out is dropped rather than carried into another day;
+    // after a failed DM the rest are kept for another try, up to MAX_DELIVERY_ATTEMPTS
+    const failed = sent === null;
+    const exhausted = failed ? matches.filter(match => (match.attempts || 0) + 1 >= MAX_DELIVERY_ATTEMPTS) : [];
+    const flushed = failed ? [...closed, ...exhausted.map(match => match.id)] : record.held.map(match => match.id);
+    const retried = failed ? matches.map(match => match.id) : [];
+    
+    if (exhausted.length > 0) {
+      console.log(`🔕 Dropped ${exhausted.length} alert match(es) for ${userId} after ${MAX_DELIVERY_ATTEMPTS} failed DMs`);
+    }
+    outcomes.set(userId, { flushed: new Set(flushed), retried: new Set(retried), sent: sent || 0 });
+  }
+  
+  if (outcomes.size === 0) return;
+  
+  // Matches held while the DMs went out stay held
+  await store.update(latest => {
+    for (const [userId, { flushed, retried, sent }] of outcomes) {
+      const record = getUserRecord(latest, userId);
+      record.held = record.held
+        .filter(match => !flushed.has(match.id))
+        .map(match => retried.has(match.id) ? { ...match, attempts: (match.attempts || 0) + 1 } : match);
+      addSentToday(record, sent, now);
+      latest[userId] = record;
+    }
+  });
+}
@@ -0,0 +1,97 @@
+import { EmbedBuilder } from 'discord.js';
+import { getApplicants } from './applications.js';
+import { getCatalogEntries, getMessageListings } from './catalog.js';
+import { getServerSettings } from './server-settings.js';
+
+// Name of the embed field holding the count, so it can be found and replaced
+const FIELD_NAME = 'Applicants';
+
+// Names listed before "and N more" (a field holds 1024 characters, a mention up to 22)
+const MAX_NAMES_SHOWN = 30;
+
+/**
+ * Members who applied to any of some listings, each counted once (a grouped post covers several)
+ */
+async function getApplicantIds(listingIds) {
+  const applicants = await Promise.all(listingIds.map(getApplicants));
+  return [...new Set(applicants.flat())];
+}
+
+/**
+ * Set the "✅ 4 members applied" field on a listing embed, with their names if `showNames`
+ * The field is removed once nobody has applied
+ */
+export function setApplicantField(embed, userIds, showNames) {
+  const fields = (embed.data.fields || []).filter(field => field.name !== FIELD_NAME);
+  
+  if (userIds.length > 0) {
+    let value = `✅ ${userIds.length} member${userIds.length > 1 ? 's' : ''} applied`;
+    
+    // Mentions in embeds show as names without pinging anyone
+    if (showNames) {
+      const more = userIds.length - MAX_NAMES_SHOWN;
+      value += `\n${userIds.slice(0, MAX_NAMES_SHOWN).map(id => `<@${id}>`).join(', ')}${more > 0 ? ` and ${more} more` : ''}`;
+    }
+    
+    fields.push({ name: FIELD_NAME, value });
+  }
+  
+  return embed.setFields(fields);
+}
+
+/**
+ * Add the current applicant count of some listings to an embed, following the server's settings
+ */
+export async function addApplicantCount(embed, listingIds, guildId) {
+  const [userIds, settings] = await Promise.all([getApplicantIds(listingIds), getServerSettings(guildId)]);
+  return setApplicantField(embed, userIds, settings.names);
+}
+
+/**
+ * Whether a message is a post of just this listing (it has the listing's own Save button),
+ * rather than a result browser or digest that lists several
+ */
+function isListingPost(message, listingId) {
+  return (message?.components || []).some(row =>
+    row.components.some(component => component.customId === `save_${listingId}`)
+  );
+}
+
+/**
+ * Update the applicant count on the posts of some listings after an application is recorded or undone
+ * Digests list too many listings for a count; `clickedMessage` is also updated when it's a
+ * listing post the catalog doesn't know about, like a `?today` reply
+ */
+export async function refreshApplicantCounts(client, listingIds, clickedMessage = null) {
+  const targets = new Map();
+  
+  for (const entry of await getCatalogEntries(listingIds)) {
+    for (const posted of entry.messages || []) {
+      if (!posted.digest) {
+        targets.set(posted.messageId, { ...posted, listingId: entry.id });
+      }
+    }
+  }
+  
+  if (clickedMessage && !targets.has(clickedMessage.id) && listingIds.length === 1 && isListingPost(clickedMessage, listingIds[0])) {
+    targets.set(clickedMessage.id, { messageId: clickedMessage.id, listingId: listingIds[0] });
+  }
+  
+  for (const posted of targets.values()) {
+    try {
+      const message = clickedMessage?.id === posted.messageId
+        ? clickedMessage
+        : await (await client.channels.fetch(posted.channelId)).messages.fetch(posted.messageId);
+      
+      // A grouped post counts everyone who applied to any of its variants
+      const ids = posted.group
+        ? (await getMessageListings(posted.messageId)).map(entry => entry.id)
+        : [posted.listingId];
+      
+      const embed = await addApplicantCount(EmbedBuilder.from(message.embeds[0]), ids, message.guildId);
+      await message.edit({ embeds: [embed, ...message.embeds.slice(1)] });
+    } catch (error) {
+      console.error(`Error updating applicant count on message ${posted.messageId}:`, error.message);
+    }
+  }
+}
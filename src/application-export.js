@@ -0,0 +1,248 @@
+import { getUserApplications, isInterviewStatus, APPLICATION_STATUSES } from './applications.js';
+import { getCatalogEntries } from './catalog.js';
+
+// Formats `?export applications` can produce
+export const EXPORT_FORMATS = ['csv', 'json', 'ics'];
+
+// Stages that still need a follow-up (not offer, rejected or ghosted)
+const FOLLOW_UP_STATUSES = ['applied', 'oa', 'phone', 'onsite'];
+
+/**
+ * Days after an application's last news to schedule a follow-up (FOLLOW_UP_DAYS, default 14)
+ */
+function getFollowUpDays() {
+  return parseInt(process.env.FOLLOW_UP_DAYS) || 14;
+}
+
+/**
+ * A stage's name without its emoji, e.g. "Phone screen"
+ */
+function getStatusLabel(key) {
+  return APPLICATION_STATUSES.find(status => status.key === key)?.label || key;
+}
+
+/**
+ * YYYY-MM-DD part of an ISO date, or '' for applications saved before dates were tracked
+ */
+function toDay(isoDate) {
+  return isoDate ? isoDate.slice(0, 10) : '';
+}
+
+/**
+ * The day `days` after a YYYY-MM-DD date
+ */
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDay(date.toISOString());
+}
+
+/**
+ * A user's applications joined with their listing details, in the order they applied
+ * Listings missing from the catalog keep their ID and leave the details empty
+ */
+async function getExportRows(userId) {
+  const applications = await getUserApplications(userId);
+  const entries = new Map((await getCatalogEntries(applications.map(a => a.listingId))).map(entry => [entry.id, entry]));
+  
+  return applications.map(application => {
+    const entry = entries.get(application.listingId) || {};
+    
+    return {
+      ...application,
+      company: entry.company || '',
+      role: entry.role || '',
+      location: entry.location || '',
+      applyLink: entry.applyLink || '',
+      closedAt: entry.closedAt || null,
+    };
+  });
+}
+
+/**
+ * Quote a CSV value when it needs it, and keep spreadsheets from running values as formulas
+ */
+function escapeCsv(value) {
+  let text = String(value ?? '');
+  
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per application; notes are one cell, a line each
+ * Starts with a byte order mark so Excel reads it as UTF-8
+ */
+function formatCsv(rows) {
+  const header = ['number', 'company', 'role', 'location', 'apply_link', 'applied_date', 'status', 'status_updated', 'referral', 'resume_version', 'notes', 'listing_id'];
+  
+  const lines = rows.map(row => [
+    row.number,
+    row.company,
+    row.role,
+    row.location,
+    row.applyLink,
+    toDay(row.appliedAt),
+    getStatusLabel(row.status),
+    toDay(row.updatedAt),
+    row.referral,
+    row.resume,
+    row.notes.map(note => `${toDay(note.at)}: ${note.text}`).join('\n'),
+    row.listingId,
+  ].map(escapeCsv).join(','));
+  
+  return `\uFEFF${[header.join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+/**
+ * Every application with its full stage history and notes
+ */
+function formatJson(rows) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    applications: rows.map(row => ({
+      company: row.company,
+      role: row.role,
+      location: row.location,
+      applyLink: row.applyLink,
+      appliedAt: row.appliedAt,
+      status: row.status,
+      updatedAt: row.updatedAt,
+      referral: row.referral || null,
+      resume: row.resume || null,
+      notes: row.notes,
+      history: row.history,
+      listingClosedAt: row.closedAt,
+      listingId: row.listingId,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Calendar events for the applications: one per interview stage, on its scheduled day or else
+ * the day it was reached, and a follow-up for each application still waiting on news
+ * (a closed listing still counts: it only stopped taking new applications)
+ */
+function createCalendarEvents(rows) {
+  const events = [];
+  
+  for (const row of rows) {
+    const title = `${row.company || row.listingId} - ${row.role}`.replace(/ - $/, '');
+    let lastNews = toDay(row.updatedAt);
+    
+    row.history.forEach((step, i) => {
+      const day = step.date || toDay(step.at);
+      if (!isInterviewStatus(step.status) || !day) return;
+      
+      // Rescheduling adds a step at the same stage; only the latest date stands
+      if (row.history[i + 1]?.status === step.status) return;
+      
+      events.push({
+        uid: `${row.listingId}-${i}`,
+        day,
+        summary: `${getStatusLabel(step.status)}: ${title}`,
+        description: step.date ? 'Interview date set with ?app status' : 'The day you moved it to this stage (set the interview date with ?app status)',
+        url: row.applyLink,
+      });
+      
+      if (day > lastNews) {
+        lastNews = day;
+      }
+    });
+    
+    if (FOLLOW_UP_STATUSES.includes(row.status) && lastNews) {
+      events.push({
+        uid: `${row.listingId}-follow-up`,
+        day: addDays(lastNews, getFollowUpDays()),
+        summary: `Follow up: ${title}`,
+        description: `Still at ${getStatusLabel(row.status)}, last news on ${lastNews}`,
+        url: row.applyLink,
+      });
+    }
+  }
+  
+  return events;
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeIcs(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line into 75-byte pieces, continued on lines starting with a space
+ */
+function foldIcsLine(line) {
+  const pieces = [];
+  let piece = '';
+  
+  for (const char of line) {
+    if (Buffer.byteLength(piece + char) > (pieces.length > 0 ? 74 : 75)) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  
+  return [...pieces, piece].join('\r\n ');
+}
+
+/**
+ * All-day events as an iCalendar file
+ */
+function formatIcs(events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Internship Bot//Applications//EN',
+    'CALSCALE:GREGORIAN',
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${escapeIcs(event.uid)}@internship-bot`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${event.day.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addDays(event.day, 1).replace(/-/g, '')}`,
+      `SUMMARY:${escapeIcs(event.summary)}`,
+      `DESCRIPTION:${escapeIcs(event.description)}`,
+      ...(event.url ? [`URL:${event.url}`] : []),
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+  
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Export a user's applications as a file
+ * Returns { name, content, applications, events } (events is only set for ics), or null when
+ * the user has no applications
+ */
+export async function createApplicationExport(userId, format) {
+  const rows = await getExportRows(userId);
+  
+  if (rows.length === 0) {
+    return null;
+  }
+  
+  const name = `applications-${toDay(new Date().toISOString())}.${format}`;
+  
+  if (format === 'ics') {
+    const events = createCalendarEvents(rows);
+    return { name, content: formatIcs(events), applications: rows.length, events: events.length };
+  }
+  
+  const content = format === 'json' ? formatJson(rows) : formatCsv(rows);
+  return { name, content, applications: rows.length, events: null };
+}
@@ -0,0 +1,255 @@
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('applications.json');
+
+// Pipeline stages, in order, with the words `?app status` accepts for each
+export const APPLICATION_STATUSES = [
+  { key: 'applied', label: 'Applied', emoji: '📨', aliases: ['applied', 'apply'] },
+  { key: 'oa', label: 'OA', emoji: '🧪', aliases: ['oa', 'assessment', 'online-assessment', 'online assessment'] },
+  { key: 'phone', label: 'Phone screen', emoji: '📞', aliases: ['phone', 'phone-screen', 'phone screen', 'screen'] },
+  { key: 'onsite', label: 'Onsite', emoji: '🏢', aliases: ['onsite', 'final', 'superday'] },
+  { key: 'offer', label: 'Offer', emoji: '🎉', aliases: ['offer'] },
+  { key: 'rejected', label: 'Rejected', emoji: '❌', aliases: ['rejected', 'reject', 'rejection'] },
+  { key: 'ghosted', label: 'Ghosted', emoji: '👻', aliases: ['ghosted', 'ghost'] },
+];
+
+// Groups of stages `?myapplications --status` can filter by, besides the stages themselves
+const STATUS_GROUPS = {
+  interviewing: { label: 'Interviewing', statuses: ['oa', 'phone', 'onsite'] },
+  active: { label: 'Active', statuses: ['applied', 'oa', 'phone', 'onsite'] },
+  closed: { label: 'Closed', statuses: ['offer', 'rejected', 'ghosted'] },
+};
+
+// Longest note `?app note` keeps
+export const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Find the pipeline stage for a word like "oa" or "phone screen", or null
+ */
+export function resolveStatus(text) {
+  const lower = (text || '').trim().toLowerCase();
+  return APPLICATION_STATUSES.find(status => status.aliases.includes(lower))?.key || null;
+}
+
+/**
+ * Resolve a `--status` filter (a stage, or interviewing/active/closed) to { label, statuses }, or null
+ */
+export function resolveStatusFilter(text) {
+  const lower = (text || '').trim().toLowerCase();
+  if (STATUS_GROUPS[lower]) {
+    return STATUS_GROUPS[lower];
+  }
+  
+  const status = resolveStatus(lower);
+  return status ? { label: formatStatus(status), statuses: [status] } : null;
+}
+
+/**
+ * Names `--status` accepts, for usage messages
+ */
+export function listStatusFilters() {
+  return [...Object.keys(STATUS_GROUPS), ...APPLICATION_STATUSES.map(status => status.key)];
+}
+
+/**
+ * Whether a stage is an interview, which can have a date (`?app status 3 phone 2026-11-04`)
+ */
+export function isInterviewStatus(key) {
+  return STATUS_GROUPS.interviewing.statuses.includes(key);
+}
+
+/**
+ * Display name for a stage, e.g. "📞 Phone screen"
+ */
+export function formatStatus(key) {
+  const status = APPLICATION_STATUSES.find(s => s.key === key);
+  return status ? `${status.emoji} ${status.label}` : key;
+}
+
+/**
+ * Record for an application saved before statuses existed, when only the user id was kept
+ */
+function createLegacyRecord() {
+  return {
+    status: 'applied',
+    appliedAt: null,
+    updatedAt: null,
+    history: [{ status: 'applied', at: null }],
+    notes: [],
+  };
+}
+
+/**
+ * Convert listings saved in the old format (a list of user ids) in place
+ */
+function upgradeApplications(applications) {
+  for (const [listingId, value] of Object.entries(applications)) {
+    if (Array.isArray(value)) {
+      applications[listingId] = Object.fromEntries(value.map(userId => [userId, createLegacyRecord()]));
+    }
+  }
+  
+  return applications;
+}
+
+/**
+ * Load applications data: listing id -> user id -> { status, appliedAt, updatedAt, history, notes, referral?, resume? }
+ */
+async function loadApplications() {
+  return upgradeApplications(await store.load());
+}
+
+/**
+ * Change applications data, one change at a time (two "I Applied" clicks can land together)
+ * Returns what `change` returns
+ */
+function updateApplications(change) {
+  return store.update(applications => change(upgradeApplications(applications)));
+}
+
+/**
+ * Record an application, with the optional details from the "I Applied" form:
+ * { referral, resume, note }
+ * Returns false when the user had already marked it
+ */
+export async function recordApplication(userId, listingId, details = {}) {
+  return await updateApplications(applications => {
+    if (applications[listingId]?.[userId]) {
+      return false;
+    }
+    
+    const now = new Date().toISOString();
+    applications[listingId] = {
+      ...applications[listingId],
+      [userId]: {
+        status: 'applied',
+        appliedAt: now,
+        updatedAt: now,
+        history: [{ status: 'applied', at: now }],
+        notes: details.note ? [{ text: details.note.slice(0, MAX_NOTE_LENGTH), at: now }] : [],
+        ...(details.referral && { referral: details.referral }),
+        ...(details.resume && { resume: details.resume }),
+      },
+    };
+    
+    return true;
+  });
+}
+
+/**
+ * Forget an application, for undoing an "I Applied" click
+ * Returns false when the user hadn't marked it
+ */
+export async function removeApplication(userId, listingId) {
+  return await updateApplications(applications => {
+    if (!applications[listingId]?.[userId]) {
+      return false;
+    }
+    
+    delete applications[listingId][userId];
+    if (Object.keys(applications[listingId]).length === 0) {
+      delete applications[listingId];
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Rewrite the listing IDs in applications.json
+ * `mapId` gets an old ID and returns its replacement, or null to keep it
+ */
+export async function migrateApplicationIds(mapId) {
+  const changed = await updateApplications(applications => {
+    const migrated = {};
+    let count = 0;
+    
+    for (const [listingId, records] of Object.entries(applications)) {
+      const newId = mapId(listingId) || listingId;
+      if (newId !== listingId) {
+        count++;
+      }
+      
+      // Two old IDs can map to the same listing; a user's first record for it wins
+      migrated[newId] = { ...records, ...migrated[newId] };
+      delete applications[listingId];
+    }
+    
+    Object.assign(applications, migrated);
+    return count;
+  });
+  
+  if (changed > 0) {
+    console.log(`🔀 Migrated ${changed} application record(s) to new listing IDs`);
+  }
+}
+
+/**
+ * Get the user IDs that marked a listing as applied
+ */
+export async function getApplicants(listingId) {
+  const applications = await loadApplications();
+  return Object.keys(applications[listingId] || {});
+}
+
+/**
+ * Check if user has already applied
+ */
+export async function hasApplied(userId, listingId) {
+  const applications = await loadApplications();
+  return Boolean(applications[listingId]?.[userId]);
+}
+
+/**
+ * A user's applications in the order they applied, numbered from 1 for `?app` commands
+ * Returns [{ number, listingId, status, appliedAt, updatedAt, history, notes, referral, resume }]
+ */
+export async function getUserApplications(userId) {
+  const applications = await loadApplications();
+  
+  return Object.entries(applications)
+    .filter(([, records]) => records[userId])
+    .map(([listingId, records]) => ({ listingId, ...records[userId] }))
+    .sort((a, b) => (a.appliedAt || '').localeCompare(b.appliedAt || ''))
+    .map((application, i) => ({ number: i + 1, ...application }));
+}
+
+/**
+ * Move an application to another stage, recording when, and for interviews the day
+ * it's scheduled for (`date`, YYYY-MM-DD) if known
+ * Returns the updated record, or null if the user hasn't applied to the listing
+ */
+export async function setApplicationStatus(userId, listingId, status, date = null) {
+  return await updateApplications(applications => {
+    const record = applications[listingId]?.[userId];
+    
+    if (!record) {
+      return null;
+    }
+    
+    const now = new Date().toISOString();
+    record.status = status;
+    record.updatedAt = now;
+    record.history.push({ status, at: now, ...(date && { date }) });
+    return record;
+  });
+}
+
+/**
+ * Add a note to an application
+ * Returns the updated record, or null if the user hasn't applied to the listing
+ */
+export async function addApplicationNote(userId, listingId, text) {
+  return await updateApplications(applications => {
+    const record = applications[listingId]?.[userId];
+    
+    if (!record) {
+      return null;
+    }
+    
+    const now = new Date().toISOString();
+    record.notes.push({ text: text.slice(0, MAX_NOTE_LENGTH), at: now });
+    record.updatedAt = now;
+    return record;
+  });
+}
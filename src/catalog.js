@@ -0,0 +1,280 @@
+import { createListingId, isLegacyListingId } from './listing-id.js';
+import { createJsonStore } from './json-store.js';
+import { createContentHash, diffListings } from './listing-changes.js';
+
+const store = createJsonStore('catalog.json');
+
+/**
+ * Load the listing catalog (listing id -> catalog entry)
+ */
+export async function loadCatalog() {
+  return await store.load();
+}
+
+/**
+ * Save the listing catalog
+ */
+async function saveCatalog(catalog) {
+  await store.save(catalog);
+}
+
+/**
+ * Record the listings currently published by a source
+ * New listings get a firstSeenAt, everything present gets a fresh lastSeenAt,
+ * and anything of this source that went 🔒 or is no longer listed gets a closedAt
+ * Pass markRemoved: false to skip the "no longer listed" part (and the apply link
+ * matching below, which relies on it)
+ * Open listings whose tracked fields changed (see listing-changes.js) are returned as updates;
+ * a new apply link changes a listing's ID, so a new listing replacing one that disappeared
+ * with the same upstream ID, or the same company, role and location, is treated as that listing with a new link
+ * (the same role in another city is a new posting)
+ * Returns { closed, reopened, updated }: the entries that closed or came back open during this update,
+ * and { entry, changes, previousId } for every edited listing (previousId is set when its ID changed)
+ */
+export async function updateCatalog(sourceId, listings, { markRemoved = true } = {}) {
+  const catalog = await loadCatalog();
+  const now = new Date().toISOString();
+  const currentIds = new Set();
+  const newlyClosed = [];
+  const reopened = [];
+  const updated = [];
+  let added = 0;
+  
+  // Open entries whose listing is gone, which a closed row or a new apply link may belong to
+  const listedIds = new Set(listings.map(listing => listing.id));
+  const openEntries = new Map();
+  const openEntriesByExternalId = new Map();
+  for (const entry of Object.values(catalog)) {
+    if (entry.sourceId === sourceId && !entry.closedAt && !listedIds.has(entry.id)) {
+      const key = `${entry.company}|${entry.role}`.toLowerCase();
+      openEntries.set(key, [...(openEntries.get(key) || []), entry]);
+      if (entry.externalId) {
+        openEntriesByExternalId.set(entry.externalId, entry);
+      }
+    }
+  }
+  
+  // Take a matching entry out of the candidates so it's only claimed once
+  const claimEntry = listing => {
+    const candidates = openEntries.get(`${listing.company}|${listing.role}`.toLowerCase()) || [];
+    const match = openEntriesByExternalId.get(listing.externalId) ||
+      candidates.find(entry => entry.location === listing.location);
+    
+    if (match) {
+      const sameKey = openEntries.get(`${match.company}|${match.role}`.toLowerCase());
+      sameKey?.splice(sameKey.indexOf(match), 1);
+      openEntriesByExternalId.delete(match.externalId);
+    }
+    return match;
+  };
+  
+  // Closed rows have no apply link, so their ID falls back to company and role;
+  // point them at the open entry they came from first, so a new posting of the same
+  // role that replaced a closed one isn't mistaken for a link change
+  for (const listing of listings) {
+    if (listing.closed && !listing.applyLink && !catalog[listing.id]) {
+      const match = claimEntry(listing);
+      if (match) {
+        listing.id = match.id;
+      }
+    }
+  }
+  
+  for (const listing of listings) {
+    let previousId = null;
+    
+    if (markRemoved && !listing.closed && !catalog[listing.id]) {
+      const match = claimEntry(listing);
+      if (match) {
+        previousId = match.id;
+        catalog[listing.id] = { ...match, id: listing.id };
+        delete catalog[match.id];
+      }
+    }
+    
+    // A posting listed under two sections shares one ID; the first row wins, as when posting
+    if (currentIds.has(listing.id)) {
+      continue;
+    }
+    
+    currentIds.add(listing.id);
+    const existing = catalog[listing.id];
+    
+    if (!existing) {
+      added++;
+    }
+    
+    let closedAt = null;
+    let closedReason = null;
+    if (listing.closed) {
+      closedAt = existing?.closedAt || now;
+      closedReason = existing?.closedReason || 'closed';
+    }
+    
+    // Entries from before content hashes were kept just get one, rather than all reporting changes
+    const contentHash = createContentHash(listing);
+    const changes = existing?.contentHash && existing.contentHash !== contentHash && !existing.closedAt && !listing.closed
+      ? diffListings(existing, listing)
+      : [];
+    
+    catalog[listing.id] = {
+      ...existing,
+      id: listing.id,
+      sourceId: listing.sourceId,
+      sourceName: listing.sourceName,
+      company: listing.company,
+      role: listing.role,
+      location: listing.location,
+      locations: listing.locations,
+      category: listing.category,
+      emoji: listing.emoji,
+      // Closed rows have no apply link, so keep the one we saw while it was open
+      applyLink: listing.applyLink || existing?.applyLink || null,
+      age: listing.age,
+      // Only json sources know the exact posting date, terms and upstream ID
+      postedAt: listing.postedAt || existing?.postedAt || null,
+      terms: listing.terms || existing?.terms || [],
+      externalId: listing.externalId || existing?.externalId || null,
+      flags: listing.flags,
+      // Closed rows lose their apply link, so their hash would differ for no real change
+      contentHash: listing.closed ? existing?.contentHash || null : contentHash,
+      firstSeenAt: existing?.firstSeenAt || now,
+      lastSeenAt: now,
+      updatedAt: changes.length > 0 ? now : existing?.updatedAt || null,
+      closedAt,
+      closedReason,
+      messages: existing?.messages || [],
+    };
+    
+    if (existing && !existing.closedAt && listing.closed) {
+      newlyClosed.push(catalog[listing.id]);
+    }
+    
+    if (existing?.closedAt && !listing.closed) {
+      reopened.push(catalog[listing.id]);
+    }
+    
+    if (changes.length > 0) {
+      updated.push({ entry: catalog[listing.id], changes, previousId });
+    }
+  }
+  
+  for (const entry of Object.values(catalog)) {
+    if (markRemoved && entry.sourceId === sourceId && !currentIds.has(entry.id) && !entry.closedAt) {
+      entry.closedAt = now;
+      entry.closedReason = 'removed';
+      newlyClosed.push(entry);
+    }
+  }
+  
+  await saveCatalog(catalog);
+  
+  if (added > 0 || newlyClosed.length > 0 || reopened.length > 0 || updated.length > 0) {
+    console.log(`🗂️ [${sourceId}] Catalog updated: ${added} added, ${updated.length} updated, ${newlyClosed.length} closed, ${reopened.length} reopened`);
+  }
+  
+  return { closed: newlyClosed, reopened, updated };
+}
+
+/**
+ * Move a source's catalog entries from legacy IDs to URL-based IDs
+ * `idMap` maps legacy IDs of current listings to their new IDs; entries that aren't in it
+ * get an ID computed from their stored apply link
+ * Returns a map of every ID that was changed
+ */
+export async function migrateCatalogIds(sourceId, idMap) {
+  const catalog = await loadCatalog();
+  const changed = new Map();
+  
+  for (const entry of Object.values(catalog)) {
+    if (entry.sourceId !== sourceId || !isLegacyListingId(entry.id)) {
+      continue;
+    }
+    
+    const oldId = entry.id;
+    const newId = idMap.get(oldId) || createListingId(sourceId, entry);
+    const existing = catalog[newId];
+    
+    delete catalog[oldId];
+    catalog[newId] = existing
+      ? {
+        ...existing,
+        firstSeenAt: [existing.firstSeenAt, entry.firstSeenAt].sort()[0],
+        messages: [...(existing.messages || []), ...(entry.messages || [])],
+      }
+      : { ...entry, id: newId };
+    
+    changed.set(oldId, newId);
+  }
+  
+  if (changed.size > 0) {
+    await saveCatalog(catalog);
+    console.log(`🔀 [${sourceId}] Migrated ${changed.size} catalog entries to new listing IDs`);
+  }
+  
+  return changed;
+}
+
+/**
+ * Remember a Discord message that was posted for a listing
+ * Digest and grouped messages cover several listings, so they're flagged (`kind` is 'digest' or 'group')
+ * to keep them out of per-listing edits
+ */
+export async function recordPostedMessage(listingId, channelId, messageId, kind = null) {
+  const catalog = await loadCatalog();
+  const entry = catalog[listingId];
+  
+  if (!entry) {
+    return;
+  }
+  
+  entry.messages = [...(entry.messages || []), { channelId, messageId, ...(kind && { [kind]: true }) }];
+  await saveCatalog(catalog);
+}
+
+/**
+ * Get the catalog entries posted in a message (several for digests and grouped posts)
+ */
+export async function getMessageListings(messageId) {
+  const catalog = await loadCatalog();
+  return Object.values(catalog).filter(entry => entry.messages?.some(posted => posted.messageId === messageId));
+}
+
+/**
+ * Remember the thread started under a posted message for its update notices
+ * (on every listing in the message, for grouped posts)
+ */
+export async function recordMessageThread(messageId, threadId) {
+  const catalog = await loadCatalog();
+  
+  for (const entry of Object.values(catalog)) {
+    for (const posted of entry.messages || []) {
+      if (posted.messageId === messageId) {
+        posted.threadId = threadId;
+      }
+    }
+  }
+  
+  await saveCatalog(catalog);
+}
+
+/**
+ * Get catalog entries as a list
+ * By default only open listings are returned; pass includeClosed for everything
+ */
+export async function getCatalogListings({ sourceId = null, includeClosed = false } = {}) {
+  const catalog = await loadCatalog();
+  
+  return Object.values(catalog).filter(entry =>
+    (!sourceId || entry.sourceId === sourceId) &&
+    (includeClosed || !entry.closedAt)
+  );
+}
+
+/**
+ * Look up catalog entries by listing id, including closed ones
+ */
+export async function getCatalogEntries(listingIds) {
+  const catalog = await loadCatalog();
+  return listingIds.map(id => catalog[id]).filter(Boolean);
+}
@@ -1,37 +1,28 @@
-import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, AttachmentBuilder } from 'discord.js';
 import { getAllListings } from './github-monitor.js';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getSources, getSource, extractSourceOption, describeSource } from './sources.js';
+import { getCatalogListings, getCatalogEntries } from './catalog.js';
+import { formatPostedDate, parseAgeToDays, resolveCategoryAlias } from './json-listings.js';
+import { sendResultBrowser } from './result-browser.js';
+import { parseSearchQuery, formatQueryError } from './search-query.js';
+import { rankListings, scoreSearchTerm } from './fuzzy-search.js';
+import { getUserApplications, setApplicationStatus, addApplicationNote, resolveStatus, resolveStatusFilter, isInterviewStatus, listStatusFilters, formatStatus, APPLICATION_STATUSES, MAX_NOTE_LENGTH } from './applications.js';
+import { getListingLocations, isRemoteListing, getLocationRegion, resolvePlace } from './locations.js';
+import { formatListingBadges, extractFlagFilters, applyFlagFilters, describeFlagFilters, flagFiltersToQueryTerms } from './listing-flags.js';
+import { createApplicationExport, EXPORT_FORMATS } from './application-export.js';
+import { getSavedListingIds, getHiddenListingIds, clearHiddenListings } from './listing-marks.js';
+import { getServerSettings, setServerSetting, SERVER_SETTINGS } from './server-settings.js';
+import { getUserAlerts, addAlert, removeAlert, setQuietHours, setDailyCap, parseQuietHours, isValidTimezone, MAX_ALERTS, MAX_DAILY_CAP } from './alerts.js';
 import { parseTasks } from './llm-parser.js';
 import { getUserTasks, setUserTasks, completeTask, uncompleteTask, getUser, updateUser, getAllUsers } from './database.js';
 import { createLeaderboardEmbed, createTeamLeaderboardEmbed, createProfileEmbed } from './gamification.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Applications `?myapplications` shows at once, and per embed
+const MAX_APPLICATIONS_SHOWN = 60;
+const APPLICATIONS_PAGE_SIZE = 15;
 
-const dataDir = path.join(__dirname, '../data');
-const applicationsFile = path.join(dataDir, 'applications.json');
-
-/**
- * Parse age string (e.g., "1d", "2d", "3mo") to days
- */
-function parseAgeToDays(ageStr) {
-  if (!ageStr) return Infinity;
-  
-  const age = ageStr.trim().toLowerCase();
-  
-  if (age.includes('mo')) {
-    const months = parseInt(age) || 0;
-    return months * 30;
-  } else if (age.includes('d')) {
-    return parseInt(age) || 0;
-  } else if (age.includes('h')) {
-    return 0; // Less than a day
-  }
-  
-  return Infinity;
-}
+// Leaderboards `?leaderboard` can show
+export const LEADERBOARD_TYPES = ['today', 'week', 'season', 'internship', 'streak'];
 
 /**
  * Check if listing was posted today (age is 0-1 days)
@@ -49,52 +40,61 @@ function isPostedRecently(ageStr, days = 7) {
   return ageDays <= days;
 }
 
-/**
- * Load user applications
- */
-async function getUserApplications(userId) {
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-    const content = await fs.readFile(applicationsFile, 'utf-8');
-    const applications = JSON.parse(content);
-    
-    // Find all listing IDs where user has applied
-    const userListingIds = [];
-    for (const [listingId, userIds] of Object.entries(applications)) {
-      if (userIds.includes(userId)) {
-        userListingIds.push(listingId);
-      }
-    }
-    
-    return userListingIds;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return [];
-    }
-    console.error('Error loading user applications:', error);
-    return [];
-  }
-}
-
 /**
  * Create embed for a listing
  */
 function createListingEmbed(listing) {
-  return new EmbedBuilder()
+  const badges = formatListingBadges(listing);
+  
+  const embed = new EmbedBuilder()
     .setTitle(`${listing.emoji || '💼'} ${listing.company} - ${listing.role}`)
     .setDescription(
       `**Category:** ${listing.category || '💼 General'}\n` +
       `📍 **Location:** ${listing.location}\n` +
-      `⏰ **Posted:** ${listing.age} ago\n\n` +
-      `[🔗 Apply Here](${listing.applyLink})`
+      (badges ? `${badges}\n` : '') +
+      (listing.terms?.length ? `🗓️ **Term:** ${listing.terms.join(', ')}\n` : '') +
+      `⏰ **Posted:** ${formatPostedDate(listing)}\n` +
+      (listing.closedAt ? `🔒 **Closed:** ${listing.closedAt.split('T')[0]}\n` : '') +
+      `\n[🔗 Apply Here](${listing.applyLink})`
     )
-    .setColor(0x5865F2)
+    .setColor(listing.closedAt ? 0x99AAB5 : 0x5865F2)
     .setURL(listing.applyLink)
     .setTimestamp();
+  
+  if (listing.sourceName) {
+    embed.setFooter({ text: listing.sourceName });
+  }
+  
+  return embed;
+}
+
+/**
+ * Resolve a `--source` option, replying with an error if it doesn't exist
+ * Returns undefined when the reply has already been sent
+ */
+async function resolveSourceOption(message, sourceId) {
+  if (!sourceId) return null;
+  
+  const source = await getSource(sourceId);
+  if (!source) {
+    const sources = await getSources();
+    await message.reply(`❌ Unknown source \`${sourceId}\`. Available: ${sources.map(s => `\`${s.id}\``).join(', ')}`);
+    return undefined;
+  }
+  
+  return source;
+}
+
+/**
+ * Drop the listings a user marked "Not interested"
+ */
+async function withoutHiddenListings(userId, listings) {
+  const hiddenIds = new Set(await getHiddenListingIds(userId));
+  return listings.filter(listing => !hiddenIds.has(listing.id));
 }
 
 /**
- * Create button row for application tracking
+ * Create button row for application tracking, saving and hiding a listing
  */
 function createButtonRow(listingId) {
   return new ActionRowBuilder()
@@ -103,7 +103,17 @@ function createButtonRow(listingId) {
         .setCustomId(`apply_${listingId}`)
         .setLabel('I Applied')
         .setStyle(ButtonStyle.Success)
-        .setEmoji('✅')
+        .setEmoji('✅'),
+      new ButtonBuilder()
+        .setCustomId(`save_${listingId}`)
+        .setLabel('Save for later')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('💾'),
+      new ButtonBuilder()
+        .setCustomId(`hide_${listingId}`)
+        .setLabel('Not interested')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🙈')
     );
 }
 
@@ -157,17 +167,18 @@ export async function handleTodayCommand(message) {
 /**
  * Handle ?recent command
  */
-export async function handleRecentCommand(message, days = 7) {
+export async function handleRecentCommand(message, days = 7, filters = []) {
   try {
     await message.channel.sendTyping();
     
-    const allListings = await getAllListings();
+    const allListings = await withoutHiddenListings(message.author.id, applyFlagFilters(await getCatalogListings(), filters));
     const recentListings = allListings.filter(listing => isPostedRecently(listing.age, days));
+    const filterText = describeFlagFilters(filters);
     
     if (recentListings.length === 0) {
       const embed = new EmbedBuilder()
         .setTitle(`📆 Recent Internships (Last ${days} days)`)
-        .setDescription(`No internships posted in the last ${days} days.`)
+        .setDescription(`No internships${filterText} posted in the last ${days} days.`)
         .setColor(0xFEE75C)
         .setTimestamp();
       
@@ -177,32 +188,11 @@ export async function handleRecentCommand(message, days = 7) {
     // Sort by age (newest first)
     recentListings.sort((a, b) => parseAgeToDays(a.age) - parseAgeToDays(b.age));
     
-    const embed = new EmbedBuilder()
-      .setTitle(`📆 Recent Internships (Last ${days} days)`)
-      .setDescription(`Found **${recentListings.length}** internship${recentListings.length > 1 ? 's' : ''} posted in the last ${days} days.`)
-      .setColor(0x5865F2)
-      .setTimestamp();
-    
-    await message.reply({ embeds: [embed] });
-    
-    // Send listings (limit to 20 to avoid spam)
-    const listingsToShow = recentListings.slice(0, 20);
-    
-    for (const listing of listingsToShow) {
-      const listingEmbed = createListingEmbed(listing);
-      const buttonRow = createButtonRow(listing.id);
-      
-      await message.channel.send({
-        embeds: [listingEmbed],
-        components: [buttonRow],
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-    
-    if (recentListings.length > 20) {
-      await message.channel.send(`*Showing first 20 of ${recentListings.length} recent listings. Use \`?search\` to find specific companies.*`);
-    }
+    await sendResultBrowser(message, {
+      title: `📆 Recent Internships (Last ${days} days)`,
+      description: `Found **${recentListings.length}** internship${recentListings.length > 1 ? 's' : ''}${filterText} posted in the last ${days} days.`,
+      listings: recentListings,
+    });
   } catch (error) {
     console.error('Error in ?recent command:', error);
     await message.reply('❌ Error fetching recent internships. Please try again later.');
@@ -212,60 +202,52 @@ export async function handleRecentCommand(message, days = 7) {
 /**
  * Handle ?search command
  */
-export async function handleSearchCommand(message, query) {
+export async function handleSearchCommand(message, args, filters = []) {
   try {
+    const { sourceId, rest: query } = extractSourceOption(args);
+    
     if (!query || query.trim().length === 0) {
-      return await message.reply('❌ Please provide a search term. Usage: `?search <company or role>`');
+      return await message.reply('❌ Please provide a search term. Usage: `?search <terms> [--source <id>]`, e.g. `?search company:stripe loc:remote age:<3d`');
     }
     
+    const { matches, terms, error } = parseSearchQuery(query);
+    if (error) {
+      return await message.reply(`${formatQueryError(query, error)}\nExample: \`?search company:stripe role:"backend" loc:remote age:<3d -applied\``);
+    }
+    
+    const source = await resolveSourceOption(message, sourceId);
+    if (source === undefined) return;
+    
     await message.channel.sendTyping();
     
-    const allListings = await getAllListings();
-    const searchTerm = query.toLowerCase();
+    const allListings = await withoutHiddenListings(message.author.id, applyFlagFilters(await getCatalogListings({ sourceId: source?.id }), filters));
+    const context = { appliedIds: new Set((await getUserApplications(message.author.id)).map(application => application.listingId)) };
+    const filterText = describeFlagFilters(filters);
     
-    const results = allListings.filter(listing => 
-      listing.company.toLowerCase().includes(searchTerm) ||
-      listing.role.toLowerCase().includes(searchTerm) ||
-      listing.location.toLowerCase().includes(searchTerm) ||
-      listing.category.toLowerCase().includes(searchTerm)
-    );
+    const results = rankListings(allListings.filter(listing => matches(listing, context)), terms);
     
     if (results.length === 0) {
       const embed = new EmbedBuilder()
         .setTitle(`🔍 Search Results for "${query}"`)
-        .setDescription('No internships found matching your search.')
+        .setDescription(`No internships${filterText} found matching your search.`)
         .setColor(0xFEE75C)
         .setTimestamp();
       
       return await message.reply({ embeds: [embed] });
     }
     
-    const embed = new EmbedBuilder()
-      .setTitle(`🔍 Search Results for "${query}"`)
-      .setDescription(`Found **${results.length}** internship${results.length > 1 ? 's' : ''} matching your search.`)
-      .setColor(0x5865F2)
-      .setTimestamp();
-    
-    await message.reply({ embeds: [embed] });
-    
-    // Send listings (limit to 15)
-    const listingsToShow = results.slice(0, 15);
-    
-    for (const listing of listingsToShow) {
-      const listingEmbed = createListingEmbed(listing);
-      const buttonRow = createButtonRow(listing.id);
-      
-      await message.channel.send({
-        embeds: [listingEmbed],
-        components: [buttonRow],
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-    
-    if (results.length > 15) {
-      await message.channel.send(`*Showing first 15 of ${results.length} results. Try a more specific search term.*`);
-    }
+    // Explain the top matches, best first
+    const reasons = new Map(results
+      .slice(0, 10)
+      .filter(result => result.reasons.length > 0)
+      .map(result => [result.listing.id, result.reasons.join(' · ')]));
+    
+    await sendResultBrowser(message, {
+      title: `🔍 Search Results for "${query}"`,
+      description: `Found **${results.length}** internship${results.length > 1 ? 's' : ''}${filterText} matching your search${source ? ` in **${source.name}**` : ''}, best matches first.`,
+      listings: results.map(result => result.listing),
+      reasons,
+    });
   } catch (error) {
     console.error('Error in ?search command:', error);
     await message.reply('❌ Error searching internships. Please try again later.');
@@ -273,16 +255,127 @@ export async function handleSearchCommand(message, query) {
 }
 
 /**
- * Handle ?myapplications command
+ * Pull a `--status <name>` option out of a command argument string
+ */
+function extractStatusOption(args) {
+  const match = (args || '').match(/(?:^|\s)--status[\s=]+(\S+)/i);
+  
+  if (!match) {
+    return { status: null, rest: (args || '').trim() };
+  }
+  
+  return {
+    status: match[1].toLowerCase(),
+    rest: args.replace(match[0], ' ').replace(/\s+/g, ' ').trim(),
+  };
+}
+
+/**
+ * Split the first argument off, keeping a quoted phrase together
+ * e.g. `"jane street" phone` -> { first: 'jane street', quoted: true, rest: 'phone' }
+ */
+function splitFirstArgument(args) {
+  const text = (args || '').trim();
+  const match = text.match(/^"([^"]*)"\s*([\s\S]*)$/) || text.match(/^(\S+)\s*([\s\S]*)$/);
+  
+  if (!match) {
+    return { first: '', quoted: false, rest: '' };
+  }
+  
+  return { first: match[1].trim(), quoted: text.startsWith('"'), rest: match[2].trim() };
+}
+
+/**
+ * Discord timestamp for an ISO date, shown in each reader's time zone
+ * Applications saved before dates were tracked have none
+ */
+function formatTimestamp(isoDate, style = 'D') {
+  return isoDate ? `<t:${Math.floor(new Date(isoDate).getTime() / 1000)}:${style}>` : 'before dates were tracked';
+}
+
+/**
+ * Title of an application's listing, e.g. "💼 Stripe - SWE Intern"
+ */
+function formatApplicationTitle(application, entry) {
+  return entry ? `${entry.emoji || '💼'} ${entry.company} - ${entry.role}` : `Listing ${application.listingId}`;
+}
+
+/**
+ * Find one of the user's applications from a `?app` argument: its number in `?myapplications`
+ * (`3` or `#3`), its listing ID, or words from the company and role (`stripe`, `"jane street"`)
+ * Returns { application, entry }, or undefined when the reply has already been sent
  */
-export async function handleMyApplicationsCommand(message) {
+async function resolveApplication(message, reference, quoted) {
+  const applications = await getUserApplications(message.author.id);
+  
+  if (applications.length === 0) {
+    await message.reply('❌ You haven\'t marked any applications yet. Click the "I Applied" button on internship posts to track them!');
+    return undefined;
+  }
+  
+  const entries = new Map((await getCatalogEntries(applications.map(a => a.listingId))).map(entry => [entry.id, entry]));
+  const found = application => ({ application, entry: entries.get(application.listingId) });
+  
+  const number = !quoted && reference.match(/^#?(\d+)$/);
+  if (number) {
+    const application = applications.find(a => a.number === parseInt(number[1]));
+    if (!application) {
+      await message.reply(`❌ You don't have an application #${number[1]}. See \`?myapplications\` for the numbers.`);
+      return undefined;
+    }
+    return found(application);
+  }
+  
+  const byId = applications.find(a => a.listingId === reference);
+  if (byId) {
+    return found(byId);
+  }
+  
+  // Every word has to match the company or role; the best-scoring applications win
+  const words = reference.split(/\s+/);
+  const scored = applications
+    .map(application => {
+      const entry = entries.get(application.listingId);
+      const matches = entry ? words.map(word => scoreSearchTerm(entry, { value: word, quoted: false, fields: ['company', 'role'] })) : [];
+      return { application, score: matches.every(Boolean) ? matches.reduce((total, match) => total + match.score, 0) : 0 };
+    })
+    .filter(result => result.score > 0);
+  
+  const best = scored.filter(result => result.score === Math.max(...scored.map(r => r.score)));
+  
+  if (best.length === 0) {
+    await message.reply(`❌ None of your applications match \`${reference}\`. Use its number from \`?myapplications\`.`);
+    return undefined;
+  }
+  if (best.length > 1) {
+    const options = best.slice(0, 10).map(({ application }) => {
+      const entry = entries.get(application.listingId);
+      return `**#${application.number}** ${formatApplicationTitle(application, entry)} (${entry.location})`;
+    });
+    await message.reply(`❌ \`${reference}\` matches several of your applications:\n${options.join('\n')}\nUse the number instead, e.g. \`?app view ${best[0].application.number}\`.`);
+    return undefined;
+  }
+  
+  return found(best[0].application);
+}
+
+/**
+ * Handle ?myapplications command, optionally filtered with `--status <stage or group>`
+ */
+export async function handleMyApplicationsCommand(message, args = '') {
   try {
+    const { status: statusName } = extractStatusOption(args);
+    const filter = statusName ? resolveStatusFilter(statusName) : null;
+    
+    if (statusName && !filter) {
+      return await message.reply(`❌ Unknown status \`${statusName}\`. Use one of: ${listStatusFilters().map(name => `\`${name}\``).join(', ')}`);
+    }
+    
     await message.channel.sendTyping();
     
-    const userId = message.author.id;
-    const userListingIds = await getUserApplications(userId);
+    const applications = await getUserApplications(message.author.id);
     
-    if (userListingIds.length === 0) {
+    if (applications.length === 0) {
       const embed = new EmbedBuilder()
         .setTitle('📝 Your Applications')
         .setDescription('You haven\'t marked any applications yet. Click the "I Applied" button on internship posts to track them!')
@@ -292,48 +385,321 @@ export async function handleMyApplicationsCommand(message) {
       return await message.reply({ embeds: [embed] });
     }
     
-    // Fetch all listings to match with user's applications
-    const allListings = await getAllListings();
-    const userListings = allListings.filter(listing => 
-      userListingIds.includes(listing.id)
+    // Match with the catalog so closed and removed postings still show up
+    const entries = new Map((await getCatalogEntries(applications.map(a => a.listingId))).map(entry => [entry.id, entry]));
+    const closedCount = applications.filter(a => entries.get(a.listingId)?.closedAt).length;
+    
+    const counts = APPLICATION_STATUSES
+      .map(status => ({ status, count: applications.filter(a => a.status === status.key).length }))
+      .filter(({ count }) => count > 0)
+      .map(({ status, count }) => `${status.emoji} ${count} ${status.label}`);
+    
+    // Newest first
+    const shown = applications
+      .filter(application => !filter || filter.statuses.includes(application.status))
+      .reverse();
+    
+    const summary = new EmbedBuilder()
+      .setTitle(filter
+        ? `📝 Your Applications: ${filter.label} (${shown.length} of ${applications.length})`
+        : `📝 Your Applications (${applications.length})`)
+      .setDescription(
+        `${counts.join(' · ')}\n` +
+        (closedCount > 0 ? `🔒 ${closedCount} of the listings ${closedCount > 1 ? 'have' : 'has'} closed.\n` : '') +
+        '\nMove one along with `?app status <#> <stage>`, add a note with `?app note <#> <text>` and see its history with `?app view <#>`.'
+      )
+      .setColor(0x57F287)
+      .setTimestamp();
+    
+    if (shown.length === 0) {
+      summary.addFields({ name: 'No matches', value: `None of your applications are at ${filter.label} right now.` });
+      return await message.reply({ embeds: [summary] });
+    }
+    
+    const lines = shown.slice(0, MAX_APPLICATIONS_SHOWN).map(application => {
+      const entry = entries.get(application.listingId);
+      const title = entry
+        ? `[${formatApplicationTitle(application, entry)}](${entry.applyLink})${entry.closedAt ? ' 🔒' : ''}`
+        : formatApplicationTitle(application, entry);
+      const since = application.history[application.history.length - 1].at;
+      
+      return `**#${application.number}** ${title}\n` +
+        `${formatStatus(application.status)} since ${formatTimestamp(since, 'R')}` +
+        (entry ? ` · 📍 ${entry.location || 'Location not listed'}` : '') +
+        (application.notes.length > 0 ? ` · 📝 ${application.notes.length}` : '');
+    });
+    
+    const pages = [];
+    for (let i = 0; i < lines.length; i += APPLICATIONS_PAGE_SIZE) {
+      pages.push(new EmbedBuilder()
+        .setDescription(lines.slice(i, i + APPLICATIONS_PAGE_SIZE).join('\n\n'))
+        .setColor(0x57F287));
+    }
+    
+    await message.reply({ embeds: [summary, pages[0]] });
+    for (const page of pages.slice(1)) {
+      await message.channel.send({ embeds: [page] });
+    }
+    
+    if (shown.length > MAX_APPLICATIONS_SHOWN) {
+      await message.channel.send(`*Showing the newest ${MAX_APPLICATIONS_SHOWN} of ${shown.length} applications. Narrow them down with \`--status\`.*`);
+    }
+  } catch (error) {
+    console.error('Error in ?myapplications command:', error);
+    await message.reply('❌ Error fetching your applications. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?app status command
+ */
+export async function handleAppStatusCommand(message, args) {
+  try {
+    const { first, quoted, rest } = splitFirstArgument(args);
+    const stages = APPLICATION_STATUSES.map(status => `\`${status.key}\``).join(', ');
+    
+    if (!first || !rest) {
+      return await message.reply(`❌ Usage: \`?app status <#> <stage> [date]\`, e.g. \`?app status 3 oa\`, \`?app status "jane street" phone 2026-11-04\`\nStages: ${stages}`);
+    }
+    
+    // An interview stage can end with the day it's scheduled for
+    const [, stageText, date = null] = rest.match(/^(.*?)(?:\s+(\d{4}-\d{2}-\d{2}))?$/);
+    
+    const status = resolveStatus(stageText);
+    if (!status) {
+      return await message.reply(`❌ Unknown stage \`${stageText}\`. Stages: ${stages}`);
+    }
+    if (date && !isInterviewStatus(status)) {
+      return await message.reply('❌ Only interview stages (`oa`, `phone`, `onsite`) take a date.');
+    }
+    // Month 13 is an invalid Date; Feb 30 rolls over to March 2
+    const parsed = date ? new Date(`${date}T00:00:00Z`) : null;
+    if (parsed && (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date)) {
+      return await message.reply(`❌ \`${date}\` isn't a real date. Use YYYY-MM-DD, e.g. 2026-11-04.`);
+    }
+    
+    const resolved = await resolveApplication(message, first, quoted);
+    if (!resolved) return;
+    
+    const { application, entry } = resolved;
+    const title = formatApplicationTitle(application, entry);
+    
+    // Giving the current stage a date (re)schedules it
+    if (application.status === status && !date) {
+      return await message.reply(`ℹ️ **${title}** is already at ${formatStatus(status)}.`);
+    }
+    
+    await setApplicationStatus(message.author.id, application.listingId, status, date);
+    console.log(`📈 ${message.author.username} moved ${application.listingId} from ${application.status} to ${status}${date ? ` on ${date}` : ''}`);
+    
+    await message.reply(application.status === status
+      ? `📅 **${title}**: ${formatStatus(status)} scheduled for ${date}.`
+      : `✅ **${title}** moved from ${formatStatus(application.status)} to ${formatStatus(status)}${date ? `, scheduled for ${date}` : ''}.`);
+  } catch (error) {
+    console.error('Error in ?app status command:', error);
+    await message.reply('❌ Error updating your application. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?app note command
+ */
+export async function handleAppNoteCommand(message, args) {
+  try {
+    const { first, quoted, rest } = splitFirstArgument(args);
+    
+    if (!first || !rest) {
+      return await message.reply('❌ Usage: `?app note <#> <text>`, e.g. `?app note 3 Recruiter said to expect an OA next week`');
+    }
+    
+    const resolved = await resolveApplication(message, first, quoted);
+    if (!resolved) return;
+    
+    const { application, entry } = resolved;
+    const record = await addApplicationNote(message.author.id, application.listingId, rest);
+    
+    await message.reply(
+      `📝 Note added to **${formatApplicationTitle(application, entry)}** (${record.notes.length} note${record.notes.length > 1 ? 's' : ''}). See them with \`?app view ${application.number}\`.` +
+      (rest.length > MAX_NOTE_LENGTH ? `\n*Notes are cut off after ${MAX_NOTE_LENGTH} characters.*` : '')
     );
+  } catch (error) {
+    console.error('Error in ?app note command:', error);
+    await message.reply('❌ Error saving your note. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?app view command: an application's stage history and notes
+ */
+export async function handleAppViewCommand(message, args) {
+  try {
+    const { first, quoted } = splitFirstArgument(args);
+    
+    if (!first) {
+      return await message.reply('❌ Usage: `?app view <#>`, e.g. `?app view 3` or `?app view stripe`');
+    }
+    
+    const resolved = await resolveApplication(message, first, quoted);
+    if (!resolved) return;
+    
+    const { application, entry } = resolved;
+    
+    const timeline = application.history
+      .map(step => `${formatTimestamp(step.at)} · ${formatStatus(step.status)}${step.date ? ` · 📅 ${step.date}` : ''}`)
+      .join('\n');
+    
+    // Newest notes last, like the timeline; a field holds 1024 characters
+    const notes = [];
+    for (const note of [...application.notes].reverse()) {
+      const line = `${formatTimestamp(note.at)} · ${note.text}`;
+      if (notes.join('\n').length + line.length + 1 > 1024) break;
+      notes.unshift(line);
+    }
     
     const embed = new EmbedBuilder()
-      .setTitle(`📝 Your Applications (${userListings.length})`)
-      .setDescription(`You've tracked **${userListings.length}** application${userListings.length > 1 ? 's' : ''}.`)
-      .setColor(0x57F287)
+      .setTitle(`#${application.number} ${formatApplicationTitle(application, entry)}`.slice(0, 256))
+      .setDescription(
+        (entry ? `📍 ${entry.location || 'Location not listed'}${entry.closedAt ? ` · 🔒 Closed ${formatTimestamp(entry.closedAt)}` : ''}\n` : '') +
+        `**Status:** ${formatStatus(application.status)}\n` +
+        `**Applied:** ${formatTimestamp(application.appliedAt)}` +
+        (application.referral ? `\n**Referral:** ${application.referral}` : '') +
+        (application.resume ? `\n**Resume:** ${application.resume}` : '')
+      )
+      .addFields(
+        { name: '🕒 Timeline', value: timeline.slice(-1024) },
+        { name: `📝 Notes (${application.notes.length})`, value: notes.length > 0 ? notes.join('\n') : 'No notes yet. Add one with `?app note <#> <text>`.' }
+      )
+      .setColor(0x5865F2)
       .setTimestamp();
     
+    if (entry) {
+      embed.setURL(entry.applyLink);
+    }
+    
     await message.reply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in ?app view command:', error);
+    await message.reply('❌ Error fetching your application. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?export command: DM the user their applications as a CSV, JSON or iCalendar file
+ */
+export async function handleExportCommand(message, args = '') {
+  try {
+    const [what, format = 'csv'] = args.toLowerCase().split(/\s+/).filter(Boolean);
     
-    // Send listings (limit to 20)
-    const listingsToShow = userListings.slice(0, 20);
+    if (!['applications', 'apps'].includes(what) || !EXPORT_FORMATS.includes(format)) {
+      return await message.reply(`❌ Usage: \`?export applications [${EXPORT_FORMATS.join('|')}]\`, e.g. \`?export applications ics\``);
+    }
     
-    for (const listing of listingsToShow) {
-      const listingEmbed = createListingEmbed(listing);
-      const buttonRow = createButtonRow(listing.id);
-      
-      await message.channel.send({
-        embeds: [listingEmbed],
-        components: [buttonRow],
+    const file = await createApplicationExport(message.author.id, format);
+    
+    if (!file) {
+      return await message.reply('❌ You haven\'t marked any applications yet, so there\'s nothing to export.');
+    }
+    
+    const contents = file.events === null
+      ? `${file.applications} application${file.applications > 1 ? 's' : ''}`
+      : `${file.events} event${file.events === 1 ? '' : 's'} (interviews and follow-ups) from ${file.applications} application${file.applications > 1 ? 's' : ''}`;
+    
+    try {
+      await message.author.send({
+        content: `📤 Here's your export: ${contents}.`,
+        files: [new AttachmentBuilder(Buffer.from(file.content, 'utf-8'), { name: file.name })],
       });
+    } catch (error) {
+      console.error(`Error sending export to ${message.author.id}:`, error.message);
+      return await message.reply('❌ I couldn\'t DM you. Allow direct messages from server members and try again.');
+    }
+    
+    console.log(`📤 ${message.author.username} exported ${file.applications} application(s) as ${format}`);
+    await message.reply(`📬 Sent your applications to your DMs as \`${file.name}\`.`);
+  } catch (error) {
+    console.error('Error in ?export command:', error);
+    await message.reply('❌ Error exporting your applications. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?saved command: the listings saved for later that are still open
+ */
+export async function handleSavedCommand(message) {
+  try {
+    await message.channel.sendTyping();
+    
+    const entries = await getCatalogEntries(await getSavedListingIds(message.author.id));
+    const listings = entries.filter(entry => !entry.closedAt);
+    const closedCount = entries.length - listings.length;
+    
+    if (listings.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('💾 Saved for Later')
+        .setDescription(
+          (closedCount > 0 ? `All ${closedCount} of your saved listings have closed. ` : 'You haven\'t saved any listings. ') +
+          'Click "Save for later" on an internship post to keep it here.'
+        )
+        .setColor(0xFEE75C)
+        .setTimestamp();
       
-      await new Promise(resolve => setTimeout(resolve, 500));
+      return await message.reply({ embeds: [embed] });
+    }
+    
+    await sendResultBrowser(message, {
+      title: `💾 Saved for Later (${listings.length})`,
+      description: `You saved **${listings.length}** open internship${listings.length > 1 ? 's' : ''}, most recent first.` +
+        (closedCount > 0 ? ` ${closedCount} more ${closedCount > 1 ? 'have' : 'has'} closed since.` : ''),
+      listings,
+    });
+  } catch (error) {
+    console.error('Error in ?saved command:', error);
+    await message.reply('❌ Error fetching your saved listings. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?hidden command: the listings marked "Not interested", or `?hidden clear` to show them all again
+ */
+export async function handleHiddenCommand(message, args = '') {
+  try {
+    if (args.trim().toLowerCase() === 'clear') {
+      const count = await clearHiddenListings(message.author.id);
+      return await message.reply(count > 0
+        ? `👀 Unhid ${count} listing${count > 1 ? 's' : ''}. ${count > 1 ? 'They\'ll' : 'It\'ll'} show in your results again.`
+        : 'You haven\'t hidden any listings.');
     }
     
-    if (userListings.length > 20) {
-      await message.channel.send(`*Showing first 20 of ${userListings.length} applications.*`);
+    await message.channel.sendTyping();
+    
+    const listings = (await getCatalogEntries(await getHiddenListingIds(message.author.id)))
+      .filter(entry => !entry.closedAt);
+    
+    if (listings.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('🙈 Hidden Listings')
+        .setDescription('No open listings are hidden. Click "Not interested" on an internship post to hide it from your results.')
+        .setColor(0xFEE75C)
+        .setTimestamp();
+      
+      return await message.reply({ embeds: [embed] });
     }
+    
+    await sendResultBrowser(message, {
+      title: `🙈 Hidden Listings (${listings.length})`,
+      description: `**${listings.length}** open internship${listings.length > 1 ? 's are' : ' is'} hidden from your \`?recent\`, \`?search\`, \`?category\`, \`?near\` and \`?remote\` results. Use \`?hidden clear\` to show them all again.`,
+      listings,
+    });
   } catch (error) {
-    console.error('Error in ?myapplications command:', error);
-    await message.reply('❌ Error fetching your applications. Please try again later.');
+    console.error('Error in ?hidden command:', error);
+    await message.reply('❌ Error fetching your hidden listings. Please try again later.');
   }
 }
 
 /**
  * Handle ?category command
  */
-export async function handleCategoryCommand(message, category) {
+export async function handleCategoryCommand(message, category, filters = []) {
   try {
     if (!category) {
       return await message.reply('❌ Please specify a category. Usage: `?category <category>`\nAvailable: software, product, data, quant, hardware');
@@ -341,26 +707,10 @@ export async function handleCategoryCommand(message, category) {
     
     await message.channel.sendTyping();
     
-    const allListings = await getAllListings();
-    const categoryLower = category.toLowerCase();
-    
-    // Map category aliases
-    const categoryMap = {
-      'software': 'software engineering',
-      'swe': 'software engineering',
-      'product': 'product management',
-      'pm': 'product management',
-      'data': 'data science',
-      'ds': 'data science',
-      'ai': 'data science',
-      'ml': 'data science',
-      'quant': 'quantitative finance',
-      'finance': 'quantitative finance',
-      'hardware': 'hardware engineering',
-      'hw': 'hardware engineering',
-    };
-    
-    const searchCategory = categoryMap[categoryLower] || categoryLower;
+    const allListings = await withoutHiddenListings(message.author.id, applyFlagFilters(await getCatalogListings(), filters));
+    const filterText = describeFlagFilters(filters);
+    
+    const searchCategory = resolveCategoryAlias(category);
     
     const results = allListings.filter(listing => 
       listing.category.toLowerCase().includes(searchCategory)
@@ -369,53 +719,308 @@ export async function handleCategoryCommand(message, category) {
     if (results.length === 0) {
       const embed = new EmbedBuilder()
         .setTitle(`📂 Category: ${category}`)
-        .setDescription('No internships found in this category.')
+        .setDescription(`No internships${filterText} found in this category.`)
+        .setColor(0xFEE75C)
+        .setTimestamp();
+      
+      return await message.reply({ embeds: [embed] });
+    }
+    
+    await sendResultBrowser(message, {
+      title: `📂 Category: ${category} (${results.length})`,
+      description: `Found **${results.length}** internship${results.length > 1 ? 's' : ''}${filterText} in this category.`,
+      listings: results,
+    });
+  } catch (error) {
+    console.error('Error in ?category command:', error);
+    await message.reply('❌ Error fetching category listings. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?near command
+ */
+export async function handleNearCommand(message, args, filters = []) {
+  try {
+    const { sourceId, rest: query } = extractSourceOption(args);
+    const place = resolvePlace(query);
+    
+    if (!place) {
+      return await message.reply('❌ Please provide a place. Usage: `?near <city, state or country>`\nExamples: `?near NYC`, `?near bay area`, `?near WA`, `?near canada`');
+    }
+    
+    const source = await resolveSourceOption(message, sourceId);
+    if (source === undefined) return;
+    
+    await message.channel.sendTyping();
+    
+    const allListings = await withoutHiddenListings(message.author.id, applyFlagFilters(await getCatalogListings({ sourceId: source?.id }), filters));
+    const filterText = describeFlagFilters(filters);
+    
+    const results = allListings.filter(listing => getListingLocations(listing).some(place.matches));
+    
+    if (results.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle(`📍 Internships near ${place.label}`)
+        .setDescription(`No internships${filterText} found near ${place.label}.`)
+        .setColor(0xFEE75C)
+        .setTimestamp();
+      
+      return await message.reply({ embeds: [embed] });
+    }
+    
+    // Sort by age (newest first)
+    results.sort((a, b) => parseAgeToDays(a.age) - parseAgeToDays(b.age));
+    
+    await sendResultBrowser(message, {
+      title: `📍 Internships near ${place.label} (${results.length})`,
+      description: `Found **${results.length}** internship${results.length > 1 ? 's' : ''}${filterText} near ${place.label}${source ? ` in **${source.name}**` : ''}.`,
+      listings: results,
+    });
+  } catch (error) {
+    console.error('Error in ?near command:', error);
+    await message.reply('❌ Error fetching internships by location. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?remote command
+ */
+export async function handleRemoteCommand(message, args, filters = []) {
+  try {
+    const { sourceId } = extractSourceOption(args);
+    const source = await resolveSourceOption(message, sourceId);
+    if (source === undefined) return;
+    
+    await message.channel.sendTyping();
+    
+    const allListings = await withoutHiddenListings(message.author.id, applyFlagFilters(await getCatalogListings({ sourceId: source?.id }), filters));
+    const filterText = describeFlagFilters(filters);
+    
+    const results = allListings.filter(isRemoteListing);
+    
+    if (results.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('🌐 Remote Internships')
+        .setDescription(`No remote internships${filterText} found.`)
         .setColor(0xFEE75C)
         .setTimestamp();
       
       return await message.reply({ embeds: [embed] });
     }
     
+    // Sort by age (newest first)
+    results.sort((a, b) => parseAgeToDays(a.age) - parseAgeToDays(b.age));
+    
+    await sendResultBrowser(message, {
+      title: `🌐 Remote Internships (${results.length})`,
+      description: `Found **${results.length}** remote internship${results.length > 1 ? 's' : ''}${filterText}${source ? ` in **${source.name}**` : ''}.`,
+      listings: results,
+    });
+  } catch (error) {
+    console.error('Error in ?remote command:', error);
+    await message.reply('❌ Error fetching remote internships. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?alert add command
+ * `--source` and the flag filters are saved as the matching query fields
+ */
+export async function handleAlertAddCommand(message, args, filters = []) {
+  try {
+    const { sourceId, rest } = extractSourceOption(args);
+    
+    if (!rest && filters.length === 0 && !sourceId) {
+      return await message.reply('❌ Please provide a search to watch. Usage: `?alert add <query>`, e.g. `?alert add cat:quant loc:nyc` or `?alert add company:stripe`');
+    }
+    
+    const source = await resolveSourceOption(message, sourceId);
+    if (source === undefined) return;
+    
+    const query = [rest, source && `source:${source.id}`, ...flagFiltersToQueryTerms(filters)].filter(Boolean).join(' ');
+    
+    const { error } = parseSearchQuery(query);
+    if (error) {
+      return await message.reply(formatQueryError(query, error));
+    }
+    
+    const alert = await addAlert(message.author.id, query);
+    if (!alert) {
+      return await message.reply(`❌ You already have ${MAX_ALERTS} alerts. Remove one with \`?alert remove <id>\` first.`);
+    }
+    
     const embed = new EmbedBuilder()
-      .setTitle(`📂 Category: ${category} (${results.length})`)
-      .setDescription(`Found **${results.length}** internship${results.length > 1 ? 's' : ''} in this category.`)
+      .setTitle(`🔔 Alert #${alert.id} saved`)
+      .setDescription(`I'll DM you when a new listing matches \`${query}\`.\nSee all your alerts with \`?alert list\`.`)
+      .setColor(0x57F287)
+      .setTimestamp();
+    
+    await message.reply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in ?alert add command:', error);
+    await message.reply('❌ Error saving your alert. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?alert list command
+ */
+export async function handleAlertListCommand(message) {
+  try {
+    const { alerts, quietHours, dailyCap, sentToday, held } = await getUserAlerts(message.author.id);
+    
+    const embed = new EmbedBuilder()
+      .setTitle(`🔔 Your Alerts (${alerts.length}/${MAX_ALERTS})`)
+      .setDescription(alerts.length > 0
+        ? alerts.map(alert => `**#${alert.id}** \`${alert.query}\``).join('\n')
+        : 'You have no alerts yet. Add one with `?alert add <query>`, e.g. `?alert add cat:quant loc:nyc`')
+      .addFields(
+        { name: '🌙 Quiet Hours', value: `${quietHours}${held > 0 ? `\n${held} match${held > 1 ? 'es' : ''} waiting` : ''}`, inline: true },
+        { name: '📬 Daily Limit', value: `${sentToday}/${dailyCap} sent today`, inline: true }
+      )
       .setColor(0x5865F2)
       .setTimestamp();
     
     await message.reply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in ?alert list command:', error);
+    await message.reply('❌ Error fetching your alerts. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?alert remove command
+ */
+export async function handleAlertRemoveCommand(message, alertId) {
+  try {
+    const id = parseInt(String(alertId).replace(/^#/, ''));
     
-    // Send listings (limit to 20)
-    const listingsToShow = results.slice(0, 20);
+    if (isNaN(id)) {
+      return await message.reply('❌ Please provide an alert number. Usage: `?alert remove <id>` (see `?alert list`)');
+    }
     
-    for (const listing of listingsToShow) {
-      const listingEmbed = createListingEmbed(listing);
-      const buttonRow = createButtonRow(listing.id);
-      
-      await message.channel.send({
-        embeds: [listingEmbed],
-        components: [buttonRow],
-      });
+    const alert = await removeAlert(message.author.id, id);
+    if (!alert) {
+      return await message.reply(`❌ You don't have an alert #${id}. See \`?alert list\`.`);
+    }
+    
+    await message.reply(`🗑️ Removed alert #${id} (\`${alert.query}\`).`);
+  } catch (error) {
+    console.error('Error in ?alert remove command:', error);
+    await message.reply('❌ Error removing your alert. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?alert quiet command: `?alert quiet 22-8 [timezone]` or `?alert quiet off`
+ */
+export async function handleAlertQuietCommand(message, args) {
+  try {
+    const [range, timezone] = args.trim().split(/\s+/);
+    const usage = 'Usage: `?alert quiet <start>-<end> [timezone]` or `?alert quiet off`, e.g. `?alert quiet 22-8 America/New_York` or `?alert quiet 10pm-7am`';
+    
+    if (!range) {
+      return await message.reply(`❌ ${usage}`);
+    }
+    
+    if (range.toLowerCase() === 'off') {
+      await setQuietHours(message.author.id, null);
+      return await message.reply('🔔 Quiet hours turned off. Alerts will arrive as soon as listings are posted.');
+    }
+    
+    const quietHours = parseQuietHours(range);
+    if (!quietHours) {
+      return await message.reply(`❌ Couldn't read \`${range}\` as a time range. ${usage}`);
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return await message.reply(`❌ Unknown time zone \`${timezone}\`. Use a name like \`America/New_York\`, \`Europe/London\` or \`UTC\`.`);
+    }
+    
+    const description = await setQuietHours(message.author.id, quietHours, timezone);
+    await message.reply(`🌙 Quiet hours set to ${description}. Matches during quiet hours are sent together when they end.`);
+  } catch (error) {
+    console.error('Error in ?alert quiet command:', error);
+    await message.reply('❌ Error saving your quiet hours. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?alert cap command
+ */
+export async function handleAlertCapCommand(message, args) {
+  try {
+    const cap = parseInt(args);
+    
+    if (isNaN(cap) || cap < 1 || cap > MAX_DAILY_CAP) {
+      return await message.reply(`❌ Please provide a number from 1 to ${MAX_DAILY_CAP}. Usage: \`?alert cap <number>\``);
+    }
+    
+    await setDailyCap(message.author.id, cap);
+    await message.reply(`📬 You'll get at most ${cap} alert match${cap > 1 ? 'es' : ''} a day.`);
+  } catch (error) {
+    console.error('Error in ?alert cap command:', error);
+    await message.reply('❌ Error saving your daily limit. Please try again later.');
+  }
+}
+
+/**
+ * Handle ?config command: view this server's settings, or turn one on or off
+ * Changing a setting takes the Manage Server permission
+ */
+export async function handleConfigCommand(message, args = '') {
+  try {
+    if (!message.guildId) {
+      return await message.reply('❌ Settings are per server, so run `?config` in a server channel.');
+    }
+    
+    const [name, value] = args.toLowerCase().split(/\s+/).filter(Boolean);
+    
+    if (!name) {
+      const settings = await getServerSettings(message.guildId);
+      const embed = new EmbedBuilder()
+        .setTitle('⚙️ Server Settings')
+        .setDescription(Object.entries(SERVER_SETTINGS)
+          .map(([key, setting]) => `**${key}**: ${settings[key] ? '✅ on' : '❌ off'}\n${setting.description}`)
+          .join('\n\n'))
+        .setColor(0x5865F2)
+        .setTimestamp()
+        .setFooter({ text: 'Change one with ?config <setting> on|off' });
       
-      await new Promise(resolve => setTimeout(resolve, 500));
+      return await message.reply({ embeds: [embed] });
+    }
+    
+    if (!SERVER_SETTINGS[name] || !['on', 'off'].includes(value)) {
+      return await message.reply(`❌ Usage: \`?config <setting> on|off\`. Settings: ${Object.keys(SERVER_SETTINGS).map(key => `\`${key}\``).join(', ')}`);
     }
     
-    if (results.length > 20) {
-      await message.channel.send(`*Showing first 20 of ${results.length} listings. Use \`?search\` to narrow down.*`);
+    if (!message.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      return await message.reply('❌ You need the Manage Server permission to change server settings.');
     }
+    
+    await setServerSetting(message.guildId, name, value === 'on');
+    await message.reply(`⚙️ **${name}** is now **${value}**.\n${SERVER_SETTINGS[name].description}`);
+    console.log(`⚙️ ${message.author.username} turned ${name} ${value} in server ${message.guildId}`);
   } catch (error) {
-    console.error('Error in ?category command:', error);
-    await message.reply('❌ Error fetching category listings. Please try again later.');
+    console.error('Error in ?config command:', error);
+    await message.reply('❌ Error saving server settings. Please try again later.');
   }
 }
 
 /**
  * Handle ?stats command
  */
-export async function handleStatsCommand(message) {
+export async function handleStatsCommand(message, args = '') {
   try {
+    // Accept both `?stats newgrad` and `?stats --source newgrad`
+    const { sourceId, rest } = extractSourceOption(args);
+    const source = await resolveSourceOption(message, sourceId || rest);
+    if (source === undefined) return;
+    
     await message.channel.sendTyping();
     
-    const allListings = await getAllListings();
+    const sources = source ? [source] : await getSources();
+    const allListings = await getAllListings(source?.id);
     
     // Count by category
     const categoryCounts = {};
@@ -434,17 +1039,44 @@ export async function handleStatsCommand(message) {
       .map(([cat, count]) => `${cat}: **${count}**`)
       .join('\n');
     
+    // Count by region; a multi-location listing counts once in each of its regions
+    const regionCounts = {};
+    allListings.forEach(listing => {
+      const regions = new Set(getListingLocations(listing).map(getLocationRegion));
+      regions.forEach(region => {
+        regionCounts[region] = (regionCounts[region] || 0) + 1;
+      });
+    });
+    
+    const regionText = Object.entries(regionCounts)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 10)
+      .map(([region, count]) => `${region}: **${count}**`)
+      .join('\n');
+    
+    let description =
+      `**Total Listings:** ${allListings.length}\n` +
+      `**Posted Today:** ${todayCount}\n` +
+      `**Posted This Week:** ${recentCount}\n\n` +
+      `**By Category:**\n${categoryText}`;
+    
+    if (regionText) {
+      description += `\n\n**Top Regions:**\n${regionText}`;
+    }
+    
+    if (sources.length > 1) {
+      const sourceText = sources
+        .map(s => `${s.name} (\`${s.id}\`): **${allListings.filter(l => l.sourceId === s.id).length}**`)
+        .join('\n');
+      description += `\n\n**By Source:**\n${sourceText}`;
+    }
+    
     const embed = new EmbedBuilder()
-      .setTitle('📊 Internship Statistics')
-      .setDescription(
-        `**Total Listings:** ${allListings.length}\n` +
-        `**Posted Today:** ${todayCount}\n` +
-        `**Posted This Week:** ${recentCount}\n\n` +
-        `**By Category:**\n${categoryText}`
-      )
+      .setTitle(source ? `📊 Internship Statistics: ${source.name}` : '📊 Internship Statistics')
+      .setDescription(description)
       .setColor(0x5865F2)
       .setTimestamp()
-      .setFooter({ text: `Repository: ${process.env.GITHUB_REPO_OWNER}/${process.env.GITHUB_REPO_NAME}` });
+      .setFooter({ text: `Sources: ${sources.map(describeSource).join(', ')}` });
     
     await message.reply({ embeds: [embed] });
   } catch (error) {
@@ -464,12 +1096,14 @@ export async function handleHelpCommand(message) {
       { name: '📋 Task Management', value: '`?tasks set` - Set your tasks for today\n`?tasks view` - View your tasks\n`?done <id>` - Mark task as complete\n`?undo <id>` - Unmark task', inline: false },
       { name: '🏆 Leaderboards', value: '`?leaderboard [today|week|season|internship|streak]` - View leaderboards\n`?profile` - View your profile\n`?streak` - View your streak', inline: false },
       { name: '👥 Teams', value: '`?team join <name>` - Join a team\n`?team leave` - Leave your team\n`?team stats` - View team stats', inline: false },
-      { name: '💼 Internships', value: '`?today` - Show internships posted today\n`?recent [days]` - Show recent internships\n`?search <query>` - Search internships\n`?category <name>` - Filter by category\n`?myapplications` - View your applications', inline: false },
-      { name: '📊 Other', value: '`?stats` - Show internship statistics\n`?help` - Show this help message', inline: false }
+      { name: '💼 Internships', value: '`?today` - Show internships posted today\n`?recent [days]` - Show recent internships\n`?search <query> [--source <id>]` - Search internships, e.g. `company:stripe loc:remote age:<3d -applied`\n`?category <name>` - Filter by category\n`?near <place>` - Internships in a city, state or country\n`?remote` - Remote internships\nAdd `--sponsors`, `--no-citizenship` or `--undergrad` to hide roles you can\'t take\n`?myapplications [--status <stage>]` - View your applications\n`?saved` - Listings you saved for later\n`?hidden [clear]` - Listings you marked \"Not interested\"', inline: false },
+      { name: '📈 Application Pipeline', value: '`?app status <#> <stage> [date]` - Move an application to applied, oa, phone, onsite, offer, rejected or ghosted (interviews take a YYYY-MM-DD date)\n`?app note <#> <text>` - Add a note\n`?app view <#>` - See its timeline and notes\n`?export applications [csv|json|ics]` - DM yourself a spreadsheet or calendar of your applications\n`?myapplications --status interviewing` - Filter by stage (or interviewing, active, closed)', inline: false },
+      { name: '🔔 Alerts', value: '`?alert add <query>` - DM me new listings matching a search\n`?alert list` - View your alerts\n`?alert remove <id>` - Delete an alert\n`?alert quiet <start>-<end> [timezone]` - Hold alerts overnight\n`?alert cap <number>` - Limit alerts per day', inline: false },
+      { name: '📊 Other', value: '`?stats [source]` - Show internship statistics\n`?config [<setting> on|off]` - Server settings (Manage Server to change)\n`?help` - Show this help message', inline: false }
     )
     .setColor(0x5865F2)
     .setTimestamp()
-    .setFooter({ text: 'Tip: Click "I Applied" buttons to track your applications!' });
+    .setFooter({ text: 'Tip: Every command is also a slash command, e.g. /search. Click "I Applied" buttons to track your applications!' });
   
   await message.reply({ embeds: [embed] });
 }
@@ -699,10 +1333,8 @@ export async function handleUndoCommand(message, taskId) {
  */
 export async function handleLeaderboardCommand(message, type = 'today') {
   try {
-    const validTypes = ['today', 'week', 'season', 'internship', 'streak'];
-    
-    if (type && !validTypes.includes(type.toLowerCase())) {
-      return await message.reply(`❌ Invalid leaderboard type. Use: ${validTypes.join(', ')}`);
+    if (type && !LEADERBOARD_TYPES.includes(type.toLowerCase())) {
+      return await message.reply(`❌ Invalid leaderboard type. Use: ${LEADERBOARD_TYPES.join(', ')}`);
     }
     
     const embed = await createLeaderboardEmbed(type.toLowerCase() || 'today', 10);
@@ -907,6 +1539,9 @@ export async function handleMessageCommand(message) {
   const command = args[0].toLowerCase();
   const commandArgs = args.slice(1).join(' ');
   
+  // Listing filters like --sponsors, for the internship commands
+  const { filters, rest: filteredArgs } = extractFlagFilters(commandArgs);
+  
   try {
     switch (command) {
       case 'today':
@@ -914,28 +1549,78 @@ export async function handleMessageCommand(message) {
         break;
       
       case 'recent':
-        const days = parseInt(commandArgs) || 7;
-        await handleRecentCommand(message, days);
+        const days = parseInt(filteredArgs) || 7;
+        await handleRecentCommand(message, days, filters);
         break;
       
       case 'search':
-        await handleSearchCommand(message, commandArgs);
+        await handleSearchCommand(message, filteredArgs, filters);
         break;
       
       case 'myapplications':
       case 'myapps':
       case 'applications':
-        await handleMyApplicationsCommand(message);
+        await handleMyApplicationsCommand(message, commandArgs);
+        break;
+      
+      case 'app': {
+        const [subcommand = 'list', ...rest] = commandArgs.split(/\s+/).filter(Boolean);
+        const appArgs = rest.join(' ');
+        
+        switch (subcommand.toLowerCase()) {
+          case 'status':
+            await handleAppStatusCommand(message, appArgs);
+            break;
+          case 'note':
+            // Notes keep their line breaks and spacing, so take them from the raw message
+            await handleAppNoteCommand(message, content.replace(/^\?\S+\s+\S+\s*/, ''));
+            break;
+          case 'view':
+            await handleAppViewCommand(message, appArgs);
+            break;
+          case 'list':
+            await handleMyApplicationsCommand(message, appArgs);
+            break;
+          default:
+            await message.reply('❌ Invalid app command. Use `?app status <#> <stage>`, `?app note <#> <text>`, `?app view <#>` or `?app list [--status <stage>]`');
+        }
+        break;
+      }
+      
+      case 'export':
+        await handleExportCommand(message, commandArgs);
+        break;
+      
+      case 'saved':
+        await handleSavedCommand(message);
+        break;
+      
+      case 'hidden':
+        await handleHiddenCommand(message, commandArgs);
         break;
       
       case 'category':
       case 'cat':
-        await handleCategoryCommand(message, commandArgs);
+        await handleCategoryCommand(message, filteredArgs, filters);
+        break;
+      
+      case 'near':
+      case 'location':
+        await handleNearCommand(message, filteredArgs, filters);
+        break;
+      
+      case 'remote':
+        await handleRemoteCommand(message, filteredArgs, filters);
+        break;
+      
+      case 'config':
+      case 'settings':
+        await handleConfigCommand(message, commandArgs);
         break;
       
       case 'stats':
       case 'statistics':
-        await handleStatsCommand(message);
+        await handleStatsCommand(message, commandArgs);
         break;
       
       case 'help':
@@ -974,6 +1659,37 @@ export async function handleMessageCommand(message) {
         await handleStreakCommand(message);
         break;
       
+      case 'alert':
+      case 'alerts': {
+        const [subcommand = 'list', ...rest] = commandArgs.split(/\s+/).filter(Boolean);
+        const alertArgs = rest.join(' ');
+        
+        switch (subcommand.toLowerCase()) {
+          case 'add': {
+            const { filters: alertFilters, rest: query } = extractFlagFilters(alertArgs);
+            await handleAlertAddCommand(message, query, alertFilters);
+            break;
+          }
+          case 'list':
+            await handleAlertListCommand(message);
+            break;
+          case 'remove':
+          case 'delete':
+            await handleAlertRemoveCommand(message, alertArgs);
+            break;
+          case 'quiet':
+            await handleAlertQuietCommand(message, alertArgs);
+            break;
+          case 'cap':
+          case 'limit':
+            await handleAlertCapCommand(message, alertArgs);
+            break;
+          default:
+            await message.reply('❌ Invalid alert command. Use `?alert add <query>`, `?alert list`, `?alert remove <id>`, `?alert quiet <start>-<end> [timezone]` or `?alert cap <number>`');
+        }
+        break;
+      }
+      
       case 'team':
         if (commandArgs.toLowerCase().startsWith('join')) {
           const teamName = commandArgs.replace(/^join\s+/i, '').trim();
@@ -0,0 +1,134 @@
+import { EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder } from 'discord.js';
+import { formatListingBadges } from './listing-flags.js';
+import { createResultActionRow } from './result-browser.js';
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('digest-queue.json');
+
+// Listings per digest message (the save/hide menu has two options per listing, and a menu holds at most 25)
+const DIGEST_PAGE_SIZE = 10;
+
+/**
+ * Load listings waiting for the next scheduled digest, keyed by source id
+ */
+async function loadDigestQueue() {
+  return await store.load();
+}
+
+/**
+ * Save the digest queue
+ */
+async function saveDigestQueue(queue) {
+  await store.save(queue);
+}
+
+/**
+ * Add listings to a source's scheduled digest
+ */
+export async function queueDigestListings(sourceId, listings) {
+  const queue = await loadDigestQueue();
+  queue[sourceId] = [...(queue[sourceId] || []), ...listings];
+  await saveDigestQueue(queue);
+  return queue[sourceId].length;
+}
+
+/**
+ * Remove and return everything queued for a source
+ */
+export async function takeQueuedListings(sourceId) {
+  const queue = await loadDigestQueue();
+  const listings = queue[sourceId] || [];
+  
+  if (listings.length > 0) {
+    delete queue[sourceId];
+    await saveDigestQueue(queue);
+  }
+  
+  return listings;
+}
+
+/**
+ * Group listings by category, keeping the order categories first appear in
+ */
+function groupByCategory(listings) {
+  const groups = new Map();
+  
+  for (const listing of listings) {
+    const category = listing.category || '💼 General';
+    if (!groups.has(category)) {
+      groups.set(category, []);
+    }
+    groups.get(category).push(listing);
+  }
+  
+  return groups;
+}
+
+/**
+ * Build the select menu that records applications for a digest page
+ * Selected values are listing IDs, handled like the `apply_` buttons
+ */
+function createApplySelectRow(listings, pageKey) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`applyselect_${pageKey}`)
+    .setPlaceholder('✅ Mark listings you applied to')
+    .setMinValues(1)
+    .setMaxValues(listings.length)
+    .addOptions(listings.map(listing => ({
+      label: `${listing.company} - ${listing.role}`.slice(0, 100),
+      description: (listing.location || 'Location not listed').slice(0, 100),
+      value: listing.id,
+    })));
+  
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+/**
+ * Build the digest messages for a batch of listings: one or more pages per category,
+ * each an embed listing up to DIGEST_PAGE_SIZE roles with select menus to record applications
+ * and to save or hide listings
+ */
+export function createDigestMessages(listings, sourceName) {
+  const messages = [];
+  
+  for (const [category, categoryListings] of groupByCategory(listings)) {
+    const pageCount = Math.ceil(categoryListings.length / DIGEST_PAGE_SIZE);
+    
+    for (let page = 0; page < pageCount; page++) {
+      const pageListings = categoryListings.slice(page * DIGEST_PAGE_SIZE, (page + 1) * DIGEST_PAGE_SIZE);
+      
+      const description = pageListings
+        .map((listing, i) => {
+          const badges = formatListingBadges(listing);
+          return `**${page * DIGEST_PAGE_SIZE + i + 1}.** [${listing.company} - ${listing.role}](${listing.applyLink})\n` +
+            `📍 ${listing.location || 'Location not listed'} · ⏰ ${listing.age}` +
+            (badges ? `\n${badges}` : '');
+        })
+        .join('\n\n');
+      
+      const embed = new EmbedBuilder()
+        .setTitle(
+          `${category} — ${categoryListings.length} new listing${categoryListings.length > 1 ? 's' : ''}` +
+          (pageCount > 1 ? ` (page ${page + 1}/${pageCount})` : '')
+        )
+        .setDescription(description.slice(0, 4096))
+        .setColor(0x5865F2)
+        .setTimestamp()
+        .setFooter({ text: sourceName || 'Summer 2026 Internships' });
+      
+      const pageKey = `${Date.now()}-${messages.length}`;
+      messages.push({
+        listings: pageListings,
+        payload: {
+          embeds: [embed],
+          components: [
+            createApplySelectRow(pageListings, pageKey),
+            createResultActionRow(pageListings, pageKey, page * DIGEST_PAGE_SIZE + 1),
+          ],
+        },
+      });
+    }
+  }
+  
+  return messages;
+}
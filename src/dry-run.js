@@ -0,0 +1,131 @@
+// Data files "saved" during a dry run, kept in memory so later checks in the same run still see them
+const pendingWrites = new Map();
+
+let fakeMessageCount = 0;
+
+/**
+ * Check whether the monitor should only print what it would do (DRY_RUN=true)
+ */
+export function isDryRun() {
+  return process.env.DRY_RUN === 'true';
+}
+
+/**
+ * Data a dry run saved for a file, or undefined when it hasn't saved any
+ */
+export function readDryRunData(file) {
+  return pendingWrites.has(file) ? structuredClone(pendingWrites.get(file)) : undefined;
+}
+
+/**
+ * Keep data in memory instead of writing it to disk
+ */
+export function writeDryRunData(file, data) {
+  pendingWrites.set(file, structuredClone(data));
+}
+
+/**
+ * Print an embed the way it would look in Discord, roughly
+ */
+function printEmbed(embed) {
+  const data = embed.data || embed;
+  const lines = [];
+  
+  if (data.title) lines.push(`   ┃ ${data.title}`);
+  if (data.url) lines.push(`   ┃ ${data.url}`);
+  if (data.description) {
+    lines.push(...data.description.split('\n').map(line => `   ┃   ${line}`));
+  }
+  for (const field of data.fields || []) {
+    lines.push(`   ┃ ${field.name}: ${field.value}`);
+  }
+  if (data.footer?.text) lines.push(`   ┃ — ${data.footer.text}`);
+  
+  console.log(lines.join('\n'));
+}
+
+/**
+ * Print a message payload: its text, embeds and components
+ */
+function printPayload(action, target, payload) {
+  const message = typeof payload === 'string' ? { content: payload } : payload;
+  
+  console.log(`📝 [dry run] ${action} ${target}`);
+  if (message.content) console.log(`   ${message.content}`);
+  for (const embed of message.embeds || []) {
+    printEmbed(embed);
+  }
+  for (const row of message.components || []) {
+    const components = (row.components || []).map(component => {
+      const data = component.data || component;
+      return data.label || data.placeholder || data.custom_id;
+    });
+    console.log(`   [${components.join('] [')}]`);
+  }
+}
+
+/**
+ * Create a message object whose edits are printed instead of sent
+ */
+function createDryRunMessage(channelId, messageId) {
+  return {
+    id: messageId,
+    channelId,
+    // The real message's content isn't known, so stand in a placeholder embed for edits to build on
+    embeds: [{ title: `Message ${messageId}`, description: '' }],
+    edit: async payload => printPayload('Would edit message', `${messageId} in #${channelId}`, payload),
+    startThread: async ({ name }) => {
+      console.log(`📝 [dry run] Would start thread "${name}" under message ${messageId}`);
+      return {
+        id: `dry-run-thread-${messageId}`,
+        send: async payload => printPayload('Would send in thread', `under message ${messageId}`, payload),
+      };
+    },
+  };
+}
+
+/**
+ * Create a stand-in for the Discord client that prints everything the monitor would
+ * send, edit or DM instead of doing it
+ */
+export function createDryRunClient() {
+  return {
+    channels: {
+      fetch: async channelId => ({
+        id: channelId,
+        send: async payload => {
+          printPayload('Would send to', `#${channelId}`, payload);
+          return createDryRunMessage(channelId, `dry-run-${++fakeMessageCount}`);
+        },
+        messages: {
+          fetch: async messageId => createDryRunMessage(channelId, messageId),
+        },
+      }),
+    },
+    users: {
+      fetch: async userId => ({
+        id: userId,
+        send: async payload => printPayload('Would DM', `user ${userId}`, payload),
+      }),
+    },
+  };
+}
+
+/**
+ * Print how a source's seen set would change
+ */
+export function printSeenChanges(previous, next) {
+  for (const [sourceId, ids] of Object.entries(next)) {
+    const before = new Set(previous[sourceId] || []);
+    const added = ids.filter(id => !before.has(id));
+    const removed = [...before].filter(id => !ids.includes(id));
+    
+    if (added.length === 0 && removed.length === 0) {
+      continue;
+    }
+    
+    console.log(`📝 [dry run] [${sourceId}] Seen set would change: +${added.length} -${removed.length}`);
+    for (const id of added) console.log(`   + ${id}`);
+    for (const id of removed) console.log(`   - ${id}`);
+  }
+}
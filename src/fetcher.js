@@ -0,0 +1,294 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+
+const RAW_CONTENT_BASE = 'https://raw.githubusercontent.com';
+
+// Backoff after failed fetches: doubles per consecutive failure, with jitter, up to the max
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+// Last response of each source's branch, for If-None-Match
+const responseCache = new Map();
+
+// Full commit SHAs, as passed by webhook pushes
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+// How long raw.githubusercontent.com can keep serving a branch's old content after a push
+const RAW_CACHE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Content of the last pushed commit fetched for each source, and when
+const pushedContent = new Map();
+
+// Fetch counters and backoff state, per source
+const fetchMetrics = new Map();
+
+// Position in each local snapshot directory, advanced after every check
+const snapshotPositions = new Map();
+
+// Current polling interval, set by the monitor as it adapts
+let currentPollInterval = null;
+
+/**
+ * Get (creating if needed) the metrics for a source
+ */
+function getMetrics(sourceId) {
+  if (!fetchMetrics.has(sourceId)) {
+    fetchMetrics.set(sourceId, {
+      requests: 0,
+      downloaded: 0,
+      notModified: 0,
+      changes: 0,
+      errors: 0,
+      rateLimited: 0,
+      bytes: 0,
+      consecutiveFailures: 0,
+      backoffUntil: null,
+      lastStatus: null,
+      lastFetchAt: null,
+      lastChangeAt: null,
+      lastError: null,
+    });
+  }
+  return fetchMetrics.get(sourceId);
+}
+
+/**
+ * Record a failed fetch and schedule the next allowed attempt
+ * A Retry-After header (in seconds) from a 429 wins when it asks for longer
+ */
+function recordFailure(metrics, error, retryAfterSeconds = null) {
+  metrics.errors++;
+  metrics.consecutiveFailures++;
+  metrics.lastError = error.message;
+  
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (metrics.consecutiveFailures - 1));
+  const jittered = exponential / 2 + Math.random() * exponential / 2;
+  const delay = Math.max(jittered, (retryAfterSeconds || 0) * 1000);
+  
+  metrics.backoffUntil = Date.now() + delay;
+}
+
+/**
+ * Milliseconds left before a source may be fetched again (0 when it isn't backing off)
+ */
+export function getBackoffRemaining(sourceId) {
+  const backoffUntil = fetchMetrics.get(sourceId)?.backoffUntil;
+  return backoffUntil ? Math.max(0, backoffUntil - Date.now()) : 0;
+}
+
+/**
+ * Snapshot files in a local source's directory, in name order
+ */
+async function listSnapshots(source) {
+  const extension = source.type === 'json' ? '.json' : '.md';
+  const names = (await fs.readdir(source.path)).filter(name => name.endsWith(extension)).sort();
+  
+  if (names.length === 0) {
+    throw new Error(`No ${extension} snapshots in ${source.path}`);
+  }
+  
+  return names.map(name => path.join(source.path, name));
+}
+
+/**
+ * Read a local source: the file itself, or the current snapshot of a directory
+ */
+async function readLocalSource(source, metrics) {
+  const cached = responseCache.get(source.path);
+  let filePath = source.path;
+  
+  metrics.requests++;
+  metrics.lastFetchAt = new Date().toISOString();
+  
+  let content;
+  try {
+    if ((await fs.stat(source.path)).isDirectory()) {
+      const snapshots = await listSnapshots(source);
+      const position = Math.min(snapshotPositions.get(source.id) || 0, snapshots.length - 1);
+      filePath = snapshots[position];
+      console.log(`📂 [${source.id}] Reading snapshot ${position + 1}/${snapshots.length}: ${path.basename(filePath)}`);
+    }
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    recordFailure(metrics, error);
+    console.error(`Error reading ${filePath} for ${source.id}:`, error.message);
+    throw error;
+  }
+  
+  const changed = content !== cached?.content;
+  
+  metrics.downloaded++;
+  metrics.bytes += Buffer.byteLength(content);
+  metrics.consecutiveFailures = 0;
+  metrics.backoffUntil = null;
+  metrics.lastError = null;
+  
+  if (changed) {
+    metrics.changes++;
+    metrics.lastChangeAt = metrics.lastFetchAt;
+  }
+  
+  responseCache.set(source.path, { content });
+  
+  return { content, changed };
+}
+
+/**
+ * Move a local snapshot directory on to its next snapshot (stays on the last one)
+ */
+export async function advanceSnapshot(source) {
+  if (!source.path || !(await hasMoreSnapshots(source))) {
+    return;
+  }
+  snapshotPositions.set(source.id, (snapshotPositions.get(source.id) || 0) + 1);
+}
+
+/**
+ * Check whether a local snapshot directory has snapshots left to read
+ */
+export async function hasMoreSnapshots(source) {
+  if (!source.path || !(await fs.stat(source.path)).isDirectory()) {
+    return false;
+  }
+  const snapshots = await listSnapshots(source);
+  return (snapshotPositions.get(source.id) || 0) < snapshots.length - 1;
+}
+
+/**
+ * Fetch a source's listings file (its README, or listings.json for json sources),
+ * sending If-None-Match so an unchanged file costs a 304; local sources are read from disk
+ * `ref` defaults to the source's branch; a commit SHA can be passed instead, which is compared
+ * with the branch's last content but not cached (an ETag for a fixed commit is never reused),
+ * and stands in for the branch until the branch's possibly cached copy catches up
+ * Returns { content, changed }, where `changed` is false when the content is the same as last time
+ */
+export async function fetchSourceFile(source, ref = source.branch) {
+  const metrics = getMetrics(source.id);
+  
+  if (source.path) {
+    return readLocalSource(source, metrics);
+  }
+  
+  const url = `${RAW_CONTENT_BASE}/${source.owner}/${source.repo}/${ref}/${source.file}`;
+  const isCommit = COMMIT_SHA_PATTERN.test(ref);
+  const cached = responseCache.get(source.id);
+  
+  metrics.requests++;
+  metrics.lastFetchAt = new Date().toISOString();
+  
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: cached?.etag && !isCommit ? { 'If-None-Match': cached.etag } : {},
+    });
+  } catch (error) {
+    recordFailure(metrics, error);
+    console.error(`Error fetching ${source.file} for ${source.id}:`, error);
+    throw error;
+  }
+  
+  metrics.lastStatus = response.status;
+  
+  if (response.status === 304 && cached) {
+    metrics.notModified++;
+    metrics.consecutiveFailures = 0;
+    metrics.backoffUntil = null;
+    return { content: preferPushedContent(source, cached.content), changed: false };
+  }
+  
+  const rateLimited = response.status === 429 ||
+    (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0');
+  
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch ${source.file} for ${source.id}: ${response.status} ${response.statusText}`);
+    if (rateLimited) {
+      metrics.rateLimited++;
+    }
+    recordFailure(metrics, error, parseInt(response.headers.get('retry-after')) || null);
+    console.error(`${rateLimited ? '🐢 Rate limited' : 'Error'} fetching ${source.file} for ${source.id}, retrying in ${Math.round(getBackoffRemaining(source.id) / 1000)}s`);
+    throw error;
+  }
+  
+  const content = await response.text();
+  const changed = content !== cached?.content;
+  
+  metrics.downloaded++;
+  metrics.bytes += Buffer.byteLength(content);
+  metrics.consecutiveFailures = 0;
+  metrics.backoffUntil = null;
+  metrics.lastError = null;
+  
+  if (changed) {
+    metrics.changes++;
+    metrics.lastChangeAt = metrics.lastFetchAt;
+  }
+  
+  if (isCommit) {
+    pushedContent.set(source.id, { content, fetchedAt: Date.now() });
+    return { content, changed };
+  }
+  
+  responseCache.set(source.id, { etag: response.headers.get('etag'), content });
+  return { content: preferPushedContent(source, content), changed };
+}
+
+/**
+ * The content to use for a branch read: shortly after a push, a branch copy that differs from the
+ * pushed commit is most likely the old one, still cached, and would make the listings added by the
+ * push look removed, so the pushed commit's content is used until the branch catches up
+ */
+function preferPushedContent(source, content) {
+  const pushed = pushedContent.get(source.id);
+  if (!pushed) {
+    return content;
+  }
+  
+  if (content !== pushed.content && Date.now() - pushed.fetchedAt < RAW_CACHE_MAX_AGE_MS) {
+    console.log(`🕰️ [${source.id}] ${source.file} on ${source.branch} is older than the last push, using the pushed version`);
+    return pushed.content;
+  }
+  
+  pushedContent.delete(source.id);
+  return content;
+}
+
+/**
+ * Remember the polling interval the monitor is currently using, for /stats
+ */
+export function setPollInterval(ms) {
+  currentPollInterval = ms;
+}
+
+/**
+ * Current polling interval in milliseconds (null before monitoring starts)
+ */
+export function getPollInterval() {
+  return currentPollInterval;
+}
+
+/**
+ * Format a source's fetch metrics for /stats
+ */
+export function formatFetchMetrics(sourceId) {
+  const metrics = fetchMetrics.get(sourceId);
+  
+  if (!metrics) {
+    return 'No fetches yet';
+  }
+  
+  let text =
+    `${metrics.requests} requests · ${metrics.notModified} not modified (304) · ${metrics.changes} changed · ` +
+    `${metrics.errors} errors (${metrics.rateLimited} rate limited) · ${(metrics.bytes / 1024 / 1024).toFixed(1)} MB`;
+  
+  if (metrics.lastChangeAt) {
+    text += `\nLast change <t:${Math.floor(new Date(metrics.lastChangeAt).getTime() / 1000)}:R>`;
+  }
+  
+  const backoff = getBackoffRemaining(sourceId);
+  if (backoff > 0) {
+    text += `\n🐢 Backing off for ${Math.ceil(backoff / 1000)}s after ${metrics.consecutiveFailures} failure(s): ${metrics.lastError}`;
+  }
+  
+  return text;
+}
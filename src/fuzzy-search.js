@@ -0,0 +1,195 @@
+import { parseAgeToDays } from './json-listings.js';
+
+// How much a match in each field counts towards a listing's relevance
+const FIELD_WEIGHTS = {
+  company: 3,
+  role: 2,
+  location: 1.5,
+  category: 1,
+};
+
+const FIELD_LABELS = {
+  company: 'Company',
+  role: 'Role',
+  location: 'Location',
+  category: 'Category',
+};
+
+// How well a query word matches a listing word, by kind of match
+const MATCH_SCORES = {
+  exact: 1,
+  phrase: 1,
+  prefix: 0.8,
+  contains: 0.6,
+  typo: 0.5,
+};
+
+/**
+ * Lowercase words of a piece of text, ignoring punctuation and emoji
+ */
+function getWords(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters as one edit
+ * Gives up early and returns `max + 1` once the distance is over `max`
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    let rowMin = i;
+    
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    
+    if (rowMin > max) return max + 1;
+  }
+  
+  return rows[a.length][b.length];
+}
+
+/**
+ * Typos allowed for a query word: none for short words, where one edit turns
+ * most words into others, then one, then two for long words
+ */
+function getTypoAllowance(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Best match of one query word against the words of a field
+ * Returns { kind, word, score } or null
+ */
+function matchWord(queryWord, words) {
+  let best = null;
+  const allowance = getTypoAllowance(queryWord);
+  
+  for (const word of words) {
+    let match = null;
+    
+    if (word === queryWord) {
+      match = { kind: 'exact', word, score: MATCH_SCORES.exact };
+    } else if (word.startsWith(queryWord)) {
+      match = { kind: 'prefix', word, score: MATCH_SCORES.prefix };
+    } else if (queryWord.length >= 3 && word.includes(queryWord)) {
+      match = { kind: 'contains', word, score: MATCH_SCORES.contains };
+    } else if (allowance > 0) {
+      const distance = getEditDistance(queryWord, word, allowance);
+      if (distance <= allowance) {
+        match = { kind: 'typo', word, score: MATCH_SCORES.typo - 0.1 * (distance - 1) };
+      }
+    }
+    
+    if (match && (!best || match.score > best.score)) {
+      best = match;
+      if (match.kind === 'exact') break;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Match a search term against one field's text
+ * A single word is matched word by word, allowing typos; anything longer
+ * (a quoted phrase, or "full-stack") has to appear as written, punctuation aside
+ */
+function matchField(value, text, quoted) {
+  const queryWords = getWords(value);
+  const words = getWords(text);
+  
+  // Symbols that matter ("c++", "c#") or no words at all: plain substring match
+  if (queryWords.length === 0 || /[^\p{L}\p{N}\s\-/'.]/u.test(value)) {
+    return (text || '').toLowerCase().includes(value.toLowerCase())
+      ? { kind: 'phrase', word: value, score: MATCH_SCORES.phrase }
+      : null;
+  }
+  
+  if (queryWords.length === 1 && !quoted) {
+    return matchWord(queryWords[0], words);
+  }
+  
+  const phrase = queryWords.join(' ');
+  return ` ${words.join(' ')} `.includes(` ${phrase}`)
+    ? { kind: 'phrase', word: phrase, score: MATCH_SCORES.phrase }
+    : null;
+}
+
+/**
+ * Score one search term against a listing: the best weighted match over the term's fields
+ * A term is { value, quoted, fields }, where fields are keys of FIELD_WEIGHTS
+ * Returns { score, field, kind, word } or null when the term doesn't match
+ */
+export function scoreSearchTerm(listing, term) {
+  let best = null;
+  
+  for (const field of term.fields) {
+    const match = matchField(term.value, listing[field], term.quoted);
+    if (!match) continue;
+    
+    const score = match.score * FIELD_WEIGHTS[field];
+    if (!best || score > best.score) {
+      best = { ...match, score, field };
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Say why a term matched, e.g. `Company "google" (close to "gooogle")`
+ */
+function describeMatch(term, match) {
+  const label = `${FIELD_LABELS[match.field]} "${match.word}"`;
+  const value = term.value.toLowerCase();
+  
+  switch (match.kind) {
+    case 'prefix':
+      return `${label} (starts with "${value}")`;
+    case 'contains':
+      return `${label} (contains "${value}")`;
+    case 'typo':
+      return `${label} (close to "${value}")`;
+    default:
+      return label;
+  }
+}
+
+/**
+ * Order listings by how well they match the search terms, newest first among equals
+ * Terms that don't match a listing add nothing (the query decides what's included)
+ * Returns [{ listing, score, reasons }]
+ */
+export function rankListings(listings, terms) {
+  const ranked = listings.map(listing => {
+    const matches = terms
+      .map(term => ({ term, match: scoreSearchTerm(listing, term) }))
+      .filter(({ match }) => match);
+    
+    return {
+      listing,
+      score: matches.reduce((total, { match }) => total + match.score, 0),
+      reasons: matches.map(({ term, match }) => describeMatch(term, match)),
+    };
+  });
+  
+  return ranked.sort((a, b) =>
+    b.score - a.score ||
+    parseAgeToDays(a.listing.age) - parseAgeToDays(b.listing.age) ||
+    (b.listing.postedAt || '').localeCompare(a.listing.postedAt || '')
+  );
+}
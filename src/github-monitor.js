@@ -1,59 +1,77 @@
-import fetch from 'node-fetch';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getSources } from './sources.js';
+import { fetchSourceFile, getBackoffRemaining, setPollInterval, advanceSnapshot } from './fetcher.js';
+import { migrateApplicationIds, getApplicants } from './applications.js';
+import { migrateListingMarkIds } from './listing-marks.js';
+import { updateCatalog, recordPostedMessage, recordMessageThread, migrateCatalogIds, getMessageListings } from './catalog.js';
+import { createListingId, legacyListingId, isLegacyListingId } from './listing-id.js';
+import { createDigestMessages, queueDigestListings, takeQueuedListings } from './digest.js';
+import { checkParseHealth, reportParseHealth } from './health.js';
+import { parseLocations } from './locations.js';
+import { isDryRun, printSeenChanges } from './dry-run.js';
+import { createJsonStore } from './json-store.js';
+import { parseJsonListings, formatPostedDate } from './json-listings.js';
+import { extractListingFlags, createListingFlags, formatListingBadges } from './listing-flags.js';
+import { formatListingChanges } from './listing-changes.js';
+import { groupListings, createGroupedListingMessage } from './listing-groups.js';
+import { sendListingAlerts, flushHeldAlerts } from './alerts.js';
+import { addApplicantCount } from './applicant-count.js';
 
 const GITHUB_API_BASE = 'https://api.github.com';
-const RAW_CONTENT_BASE = 'https://raw.githubusercontent.com';
 
-let lastKnownListings = new Set();
-let isInitialized = false;
+const seenStore = createJsonStore('seen-listings.json');
+
+// Seen listing IDs and initialization state, tracked per source
+const lastKnownListings = new Map();
+const initializedSources = new Set();
+
+// Latest parse of each source's README, shared by the monitor and commands
+const parsedListings = new Map();
+
+// README content each source was last fully checked against; an unchanged README skips the check
+const checkedContent = new Map();
+
+// Checks run one at a time, so a webhook, /check and the poll timer can't post the same listing twice
+let checkChain = Promise.resolve();
 
 /**
- * Fetch the README content from GitHub
+ * Fetch and parse a source's listings, reusing the last parse when the content hasn't changed
+ * README sources are scraped from the HTML tables, json sources read listings.json;
+ * both produce the same listing shape
  */
-async function fetchReadme() {
-  const owner = process.env.GITHUB_REPO_OWNER || 'SimplifyJobs';
-  const repo = process.env.GITHUB_REPO_NAME || 'Summer2026-Internships';
-  const branch = process.env.GITHUB_BRANCH || 'dev';
+async function loadListings(source, ref) {
+  const { content } = await fetchSourceFile(source, ref);
+  const cached = parsedListings.get(source.id);
   
-  const url = `${RAW_CONTENT_BASE}/${owner}/${repo}/${branch}/README.md`;
-  
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch README: ${response.statusText}`);
-    }
-    return await response.text();
-  } catch (error) {
-    console.error('Error fetching README:', error);
-    throw error;
+  if (cached && cached.content === content) {
+    cached.parsedAt = Date.now();
+    return cached;
   }
+  
+  const parse = source.type === 'json' ? parseJsonListings : parseInternshipListings;
+  const parsed = { ...parse(content, source), content, parsedAt: Date.now() };
+  parsedListings.set(source.id, parsed);
+  return parsed;
 }
 
 /**
  * Parse HTML table to extract internship listings from all sections
+ * Returns the listings plus stats about what was found, for the parser health checks
  */
-function parseInternshipListings(readmeContent) {
+function parseInternshipListings(readmeContent, source) {
   const listings = [];
+  const stats = {
+    sectionsFound: [],
+    sectionsMissing: [],
+    rows: 0,
+    skipped: 0,
+  };
   
-  // Define all section patterns to monitor with their category names
-  const sectionPatterns = [
-    { pattern: /## 💻 Software Engineering Internship Roles[\s\S]*?(?=## |$)/, category: '💻 Software Engineering', emoji: '💻' },
-    { pattern: /## 📱 Product Management[\s\S]*?(?=## |$)/, category: '📱 Product Management', emoji: '📱' },
-    { pattern: /## 🤖 Data Science, AI & Machine Learning[\s\S]*?(?=## |$)/, category: '🤖 Data Science, AI & ML', emoji: '🤖' },
-    { pattern: /## 📈 Quantitative Finance[\s\S]*?(?=## |$)/, category: '📈 Quantitative Finance', emoji: '📈' },
-    { pattern: /## 🔧 Hardware Engineering[\s\S]*?(?=## |$)/, category: '🔧 Hardware Engineering', emoji: '🔧' },
-  ];
-  
-  for (const section of sectionPatterns) {
+  for (const section of source.sections) {
     const sectionMatch = readmeContent.match(section.pattern);
     if (!sectionMatch) {
-      console.log(`⚠️ Section not found: ${section.category}`);
+      console.log(`⚠️ [${source.id}] Section not found: ${section.category}`);
+      stats.sectionsMissing.push(section.category);
       continue;
     }
     
@@ -62,17 +80,22 @@ function parseInternshipListings(readmeContent) {
     // Find the table in this section
     const tableMatch = sectionContent.match(/<table>[\s\S]*?<\/table>/);
     if (!tableMatch) {
-      console.log(`⚠️ Table not found in section: ${section.category}`);
+      console.log(`⚠️ [${source.id}] Table not found in section: ${section.category}`);
+      stats.sectionsMissing.push(section.category);
       continue;
     }
     
     const tableContent = tableMatch[0];
-    console.log(`✅ Found table for ${section.category}`);
+    console.log(`✅ [${source.id}] Found table for ${section.category}`);
+    stats.sectionsFound.push(section.category);
     
     // Match table rows: <tr>...</tr>
     const rowRegex = /<tr>[\s\S]*?<\/tr>/g;
     let rowMatch;
     
+    // Company of the last row, for "↳" continuation rows
+    let previousCompany = null;
+    
     while ((rowMatch = rowRegex.exec(tableContent)) !== null) {
       const rowContent = rowMatch[0];
       
@@ -81,6 +104,8 @@ function parseInternshipListings(readmeContent) {
         continue;
       }
       
+      stats.rows++;
+      
       // Extract table cells: <td>...</td>
       const cellRegex = /<td>([\s\S]*?)<\/td>/g;
       const cells = [];
@@ -92,6 +117,7 @@ function parseInternshipListings(readmeContent) {
       
       // Should have 5 cells: Company, Role, Location, Application, Age
       if (cells.length < 5) {
+        stats.skipped++;
         continue;
       }
       
@@ -105,38 +131,57 @@ function parseInternshipListings(readmeContent) {
         .replace(/<[^>]+>/g, '')
         .trim();
       
-      // Extract location (handle details/summary tags)
-      let location = cells[2]
-        .replace(/<details>[\s\S]*?<summary>[\s\S]*?<\/summary>[\s\S]*?<\/details>/g, '') // Remove details blocks
-        .replace(/<[^>]+>/g, '')
-        .replace(/\s+/g, ' ')
-        .trim();
+      // Extract location; multi-location rows hide the list in a <details> block
+      // behind a "N locations" summary, with one location per line
+      const locationLines = cells[2]
+        .replace(/<summary>[\s\S]*?<\/summary>/gi, '') // Drop the "N locations" summary
+        .split(/<\/?br\s*\/?>/i)
+        .map(part => part.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim())
+        .filter(part => part.length > 0);
+      let location = locationLines.join(', ');
       
       // Extract application links from the application column
       const applicationColumn = cells[3];
       
-      // Skip closed applications (marked with 🔒)
-      if (applicationColumn.includes('🔒') || role.includes('🔒') || company.includes('🔒')) {
-        continue;
+      // Closed applications are marked with 🔒; keep them so the monitor can notice closures
+      const closed = applicationColumn.includes('🔒') || role.includes('🔒') || company.includes('🔒');
+      company = company.replace(/🔒/g, '').trim();
+      role = role.replace(/🔒/g, '').trim();
+      
+      // Sponsorship, citizenship and degree markers become structured flags
+      const companyFlags = extractListingFlags(company);
+      const roleFlags = extractListingFlags(role);
+      company = companyFlags.text;
+      role = roleFlags.text;
+      
+      // "↳" means same company as the row above
+      if (company === '↳') {
+        if (!previousCompany) {
+          console.log(`⚠️ [${source.id}] Skipping continuation row with no company above it in ${section.category}: ${role}`);
+          stats.skipped++;
+          continue;
+        }
+        company = previousCompany;
+      } else {
+        previousCompany = company;
       }
       
-      // Extract Apply link from <a href="..." alt="Apply">
+      // Application cells can hold several links (Apply, Simplify); prefer the one
+      // whose image alt or text is "Apply", otherwise fall back to the first link
       let applyLink = null;
-      const applyLinkRegex = /<a\s+href="([^"]+)"[^>]*alt="Apply"/i;
-      const applyMatch = applicationColumn.match(applyLinkRegex);
-      if (applyMatch) {
-        applyLink = applyMatch[1].trim();
-      } else {
-        // Fallback: try to find any link with "Apply" in alt or text
-        const anyApplyLinkRegex = /<a\s+href="([^"]+)"[^>]*>[\s\S]*?Apply/i;
-        const anyApplyMatch = applicationColumn.match(anyApplyLinkRegex);
-        if (anyApplyMatch) {
-          applyLink = anyApplyMatch[1].trim();
-        }
+      const links = [...applicationColumn.matchAll(/<a\s+[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi)];
+      const applyAnchor = links.find(link =>
+        /alt="Apply"/i.test(link[2]) || link[2].replace(/<[^>]+>/g, '').trim().toLowerCase() === 'apply'
+      );
+      if (applyAnchor) {
+        applyLink = applyAnchor[1].trim();
+      } else if (links.length > 0) {
+        applyLink = links[0][1].trim();
       }
       
-      // Skip if no valid apply link
-      if (!applyLink || applyLink === '🔒') {
+      // Skip open listings without a valid apply link
+      if (!closed && (!applyLink || applyLink === '🔒')) {
+        stats.skipped++;
         continue;
       }
       
@@ -145,26 +190,33 @@ function parseInternshipListings(readmeContent) {
         .replace(/<[^>]+>/g, '')
         .trim();
       
-      // Clean up location (remove <br> tags and normalize)
-      location = location.replace(/<br\s*\/?>/gi, ', ').replace(/\s+/g, ' ').trim();
-      
-      listings.push({
+      const listing = {
         company,
         role,
         location,
+        locations: parseLocations(locationLines),
         applyLink,
         age,
+        closed,
+        flags: createListingFlags(companyFlags.flags, roleFlags.flags),
         category: section.category,
         emoji: section.emoji,
-        id: `${company}-${role}-${location}`.replace(/[^a-zA-Z0-9-]/g, '-').toLowerCase(),
-      });
+        sourceId: source.id,
+        sourceName: source.name,
+      };
+      
+      // Based on the apply URL so location edits upstream don't change it,
+      // and namespaced by source so the same role in two repos never collides
+      listing.id = createListingId(source.id, listing);
+      listings.push(listing);
     }
     
-    console.log(`📊 Parsed ${listings.filter(l => l.category === section.category).length} listings from ${section.category}`);
+    const sectionListings = listings.filter(l => l.category === section.category);
+    console.log(`📊 [${source.id}] Parsed ${sectionListings.length} listings from ${section.category} (${sectionListings.filter(l => l.closed).length} closed)`);
   }
   
-  console.log(`✅ Total listings parsed: ${listings.length}`);
-  return listings;
+  console.log(`✅ [${source.id}] Total listings parsed: ${listings.length} (${stats.skipped} of ${stats.rows} rows skipped)`);
+  return { listings, stats };
 }
 
 /**
@@ -175,79 +227,158 @@ function getListingId(listing) {
 }
 
 /**
- * Load previously seen listings from file
+ * Load previously seen listings from file, keyed by source id
+ * Migrates the old flat `{ listings: [...] }` format onto the first source
  */
-async function loadSeenListings() {
-  const dataDir = path.join(__dirname, '../data');
-  const filePath = path.join(dataDir, 'seen-listings.json');
+async function loadSeenListings(sources) {
+  const seen = new Map(sources.map(source => [source.id, new Set()]));
+  const data = await seenStore.load();
   
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
-    return new Set(data.listings || []);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return new Set();
-    }
-    console.error('Error loading seen listings:', error);
-    return new Set();
+  if (Array.isArray(data.listings)) {
+    const legacySourceId = sources[0].id;
+    console.log(`🔀 Migrating ${data.listings.length} seen listings to source "${legacySourceId}"`);
+    seen.set(legacySourceId, new Set(data.listings.map(id => `${legacySourceId}:${id}`)));
+    const mapId = id => id.includes(':') ? null : `${legacySourceId}:${id}`;
+    await migrateApplicationIds(mapId);
+    await migrateListingMarkIds(mapId);
+    await saveSeenListings(seen);
+    return seen;
+  }
+  
+  for (const [sourceId, ids] of Object.entries(data.sources || {})) {
+    seen.set(sourceId, new Set(ids));
   }
+  return seen;
 }
 
 /**
  * Save seen listings to file
  */
-async function saveSeenListings(listings) {
-  const dataDir = path.join(__dirname, '../data');
-  const filePath = path.join(dataDir, 'seen-listings.json');
+async function saveSeenListings(seen) {
+  const sources = {};
+  for (const [sourceId, ids] of seen) {
+    sources[sourceId] = Array.from(ids);
+  }
   
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-    await fs.writeFile(filePath, JSON.stringify({ listings: Array.from(listings) }, null, 2));
-  } catch (error) {
-    console.error('Error saving seen listings:', error);
+  // A dry run prints how the seen set would change, as it isn't written
+  if (isDryRun()) {
+    printSeenChanges((await seenStore.load()).sources || {}, sources);
   }
+  
+  await seenStore.save({ sources });
+}
+
+/**
+ * Move a source's stored data (catalog, seen set, applications, saved/hidden marks) from the old
+ * company-role-location IDs to URL-based IDs, using the current listings to map them
+ */
+async function migrateLegacyIds(source, currentListings) {
+  const idMap = new Map();
+  for (const listing of currentListings) {
+    idMap.set(legacyListingId(source.id, listing), listing.id);
+  }
+  
+  // The catalog knows the apply link of listings that are no longer in the README
+  const catalogChanges = await migrateCatalogIds(source.id, idMap);
+  for (const [oldId, newId] of catalogChanges) {
+    idMap.set(oldId, newId);
+  }
+  
+  const seen = lastKnownListings.get(source.id);
+  let migratedSeen = 0;
+  for (const id of [...seen]) {
+    if (isLegacyListingId(id) && idMap.has(id)) {
+      seen.delete(id);
+      seen.add(idMap.get(id));
+      migratedSeen++;
+    }
+  }
+  
+  if (migratedSeen > 0) {
+    await saveSeenListings(lastKnownListings);
+    console.log(`🔀 [${source.id}] Migrated ${migratedSeen} seen listing(s) to new listing IDs`);
+  }
+  
+  const mapId = id => idMap.get(id) || null;
+  await migrateApplicationIds(mapId);
+  await migrateListingMarkIds(mapId);
 }
 
 /**
  * Create a Discord embed for an internship listing
+ * Pass a change summary when re-rendering a listing that was edited upstream
  */
-function createListingEmbed(listing) {
+function createListingEmbed(listing, changeSummary = null) {
+  const badges = formatListingBadges(listing);
+  
   const embed = new EmbedBuilder()
     .setTitle(`${listing.emoji || '💼'} ${listing.company} - ${listing.role}`)
     .setDescription(
       `**Category:** ${listing.category || '💼 General'}\n` +
       `📍 **Location:** ${listing.location}\n` +
-      `⏰ **Posted:** ${listing.age} ago\n\n` +
+      (badges ? `${badges}\n` : '') +
+      (listing.terms?.length ? `🗓️ **Term:** ${listing.terms.join(', ')}\n` : '') +
+      `⏰ **Posted:** ${formatPostedDate(listing)}\n` +
+      (changeSummary ? `✏️ **Updated:** ${changeSummary}\n` : '') +
+      '\n' +
       `[🔗 Apply Here](${listing.applyLink})`
     )
     .setColor(0x5865F2)
     .setURL(listing.applyLink)
     .setTimestamp()
-    .setFooter({ text: 'Summer 2026 Internships' });
+    .setFooter({ text: listing.sourceName || 'Summer 2026 Internships' });
   
   return embed;
 }
 
 /**
- * Create button row for application tracking
+ * Create button row for application tracking, saving and hiding a listing
+ * A closed listing only keeps a disabled "Closed" button
  */
-function createButtonRow(listingId) {
+function createButtonRow(listingId, disabled = false) {
   const row = new ActionRowBuilder()
     .addComponents(
       new ButtonBuilder()
         .setCustomId(`apply_${listingId}`)
-        .setLabel('I Applied')
-        .setStyle(ButtonStyle.Success)
-        .setEmoji('✅')
+        .setLabel(disabled ? 'Closed' : 'I Applied')
+        .setStyle(disabled ? ButtonStyle.Secondary : ButtonStyle.Success)
+        .setEmoji(disabled ? '🔒' : '✅')
+        .setDisabled(disabled)
+    );
+  
+  if (!disabled) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`save_${listingId}`)
+        .setLabel('Save for later')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('💾'),
+      new ButtonBuilder()
+        .setCustomId(`hide_${listingId}`)
+        .setLabel('Not interested')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🙈')
     );
+  }
   
   return row;
 }
 
+/**
+ * Turn a posted listing embed into its closed version
+ */
+function createClosedListingEmbed(originalEmbed, entry) {
+  const reason = entry.closedReason === 'removed' ? 'removed from the list' : 'closed';
+  
+  return EmbedBuilder.from(originalEmbed)
+    .setTitle(`~~${originalEmbed.title}~~`.slice(0, 256))
+    .setDescription(`🔒 **This listing was ${reason}.**\n\n${originalEmbed.description || ''}`.slice(0, 4096))
+    .setColor(0x99AAB5);
+}
+
 /**
  * Send new listings to Discord channel
+ * The same role at several locations or terms is posted once, as a grouped message
  */
 async function sendNewListings(client, channelId, newListings) {
   const channel = await client.channels.fetch(channelId);
@@ -257,17 +388,21 @@ async function sendNewListings(client, channelId, newListings) {
     return;
   }
   
-  for (const listing of newListings) {
+  for (const group of groupListings(newListings)) {
+    const [listing] = group;
+    const grouped = group.length > 1;
+    
     try {
-      const embed = createListingEmbed(listing);
-      const buttonRow = createButtonRow(listing.id);
+      const sent = await channel.send(grouped
+        ? createGroupedListingMessage(group)
+        : { embeds: [createListingEmbed(listing)], components: [createButtonRow(listing.id)] });
       
-      await channel.send({
-        embeds: [embed],
-        components: [buttonRow],
-      });
+      // Keep the message so it can be updated when the listing closes
+      for (const variant of group) {
+        await recordPostedMessage(variant.id, channel.id, sent.id, grouped ? 'group' : null);
+      }
       
-      console.log(`✅ Posted: ${listing.company} - ${listing.role}`);
+      console.log(`✅ Posted: ${listing.company} - ${listing.role}${grouped ? ` (${group.length} variants)` : ''}`);
       
       // Small delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -277,35 +412,400 @@ async function sendNewListings(client, channelId, newListings) {
   }
 }
 
+/**
+ * Send a batch of listings as digest messages grouped by category
+ */
+async function sendDigest(client, source, channelId, listings) {
+  const channel = await client.channels.fetch(channelId);
+  
+  if (!channel) {
+    console.error(`❌ Channel ${channelId} not found`);
+    return;
+  }
+  
+  for (const { listings: pageListings, payload } of createDigestMessages(listings, source.name)) {
+    try {
+      const sent = await channel.send(payload);
+      
+      for (const listing of pageListings) {
+        await recordPostedMessage(listing.id, channel.id, sent.id, 'digest');
+      }
+      
+      // Small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    } catch (error) {
+      console.error(`Error sending digest for ${source.id}:`, error);
+    }
+  }
+  
+  console.log(`📰 [${source.id}] Posted digest of ${listings.length} listing(s)`);
+}
+
+/**
+ * Post new listings the way the source is configured to:
+ * one message each, a digest when the batch is over the threshold, or queued for the next scheduled digest
+ */
+async function postListings(client, source, channelId, listings) {
+  const { mode, threshold } = source.posting;
+  
+  if (mode === 'scheduled') {
+    const queued = await queueDigestListings(source.id, listings);
+    console.log(`🗓️ [${source.id}] Queued ${listings.length} listing(s) for the next digest (${queued} waiting)`);
+  } else if (mode === 'threshold' && listings.length > threshold) {
+    await sendDigest(client, source, channelId, listings);
+  } else {
+    await sendNewListings(client, channelId, listings);
+  }
+}
+
+/**
+ * Send everything queued for a scheduled-digest source
+ */
+async function flushScheduledDigest(client, source, channelId) {
+  try {
+    const listings = await takeQueuedListings(source.id);
+    
+    if (listings.length > 0) {
+      await sendDigest(client, source, source.channelId || channelId, listings);
+    }
+  } catch (error) {
+    console.error(`❌ [${source.id}] Error sending scheduled digest:`, error);
+  }
+}
+
+/**
+ * Post the listings that were added while the bot was offline
+ * Only the first CATCH_UP_LIMIT are posted (README order, so newest first);
+ * the rest are just marked as seen
+ */
+async function sendCatchUpListings(client, source, channelId, missedListings) {
+  const limit = parseInt(process.env.CATCH_UP_LIMIT ?? '20');
+  const cap = isNaN(limit) ? 20 : Math.max(0, limit);
+  const toPost = missedListings.slice(0, cap);
+  const skipped = missedListings.length - toPost.length;
+  
+  if (process.env.CATCH_UP_DIGEST === 'true') {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      const embed = new EmbedBuilder()
+        .setTitle('⏪ Catching up')
+        .setDescription(
+          `**${missedListings.length}** listing${missedListings.length > 1 ? 's were' : ' was'} added to **${source.name}** while the bot was offline.` +
+          (toPost.length > 0 ? `\nPosting ${toPost.length === missedListings.length ? 'them' : `the newest ${toPost.length}`} below.` : '') +
+          (skipped > 0 ? `\n${skipped} older listing${skipped > 1 ? 's are' : ' is'} skipped; use \`?recent\` to browse them.` : '')
+        )
+        .setColor(0xFEE75C)
+        .setTimestamp();
+      
+      await channel.send({ embeds: [embed] });
+    } catch (error) {
+      console.error(`Error sending catch-up digest for ${source.id}:`, error);
+    }
+  }
+  
+  if (skipped > 0) {
+    console.log(`⏭️ [${source.id}] Skipping ${skipped} missed listing(s) over the catch-up limit of ${cap}`);
+  }
+  
+  if (toPost.length > 0) {
+    await postListings(client, source, channelId, toPost);
+  }
+}
+
+/**
+ * DM everyone who marked a closed listing as applied
+ */
+async function notifyApplicantsOfClosure(client, entry) {
+  const applicants = await getApplicants(entry.id);
+  
+  for (const userId of applicants) {
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(`🔒 **${entry.company} - ${entry.role}** (${entry.location}) is no longer accepting applications. Your application is still tracked in \`?myapplications\`.`);
+    } catch (error) {
+      console.error(`Error notifying ${userId} about closed listing ${entry.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Re-render a grouped message from the catalog, so closed and edited variants show
+ */
+async function refreshGroupedMessage(client, posted, changeSummary = null) {
+  const channel = await client.channels.fetch(posted.channelId);
+  const message = await channel.messages.fetch(posted.messageId);
+  const entries = await getMessageListings(posted.messageId);
+  
+  const rendered = createGroupedListingMessage(entries, changeSummary);
+  await addApplicantCount(rendered.embeds[0], entries.map(entry => entry.id), message.guildId);
+  
+  await message.edit(rendered);
+  return message;
+}
+
+/**
+ * Note a grouped message for re-rendering by refreshGroupedMessages, with the change summary
+ * of an edited variant if there is one
+ */
+function queueGroupedRefresh(groupedMessages, posted, entry, summary = null) {
+  const group = groupedMessages.get(posted.messageId) || { posted, entry, summaries: [] };
+  if (summary) {
+    group.entry = entry;
+    group.summaries.push(summary);
+  }
+  groupedMessages.set(posted.messageId, group);
+}
+
+/**
+ * Re-render each queued grouped message once, with the changes of every edited variant
+ * With LISTING_UPDATE_NOTICES=thread the changes are also posted in a thread under it
+ */
+async function refreshGroupedMessages(client, groupedMessages) {
+  const postNotices = process.env.LISTING_UPDATE_NOTICES === 'thread';
+  
+  for (const { posted, entry, summaries } of groupedMessages.values()) {
+    const summary = summaries.join(' · ') || null;
+    
+    try {
+      const message = await refreshGroupedMessage(client, posted, summary);
+      
+      if (postNotices && summary) {
+        await postUpdateNotice(client, message, posted, entry, summary);
+      }
+    } catch (error) {
+      console.error(`Error updating grouped message ${posted.messageId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Update the posted messages of listings that closed, and optionally DM their applicants
+ * Grouped messages are only queued in `groupedMessages`, to be re-rendered once per check
+ */
+async function markListingsClosed(client, entries, groupedMessages) {
+  const notifyApplicants = process.env.NOTIFY_APPLICANTS_ON_CLOSE === 'true';
+  
+  for (const entry of entries) {
+    for (const posted of entry.messages || []) {
+      if (posted.digest) {
+        continue;
+      }
+      
+      if (posted.group) {
+        queueGroupedRefresh(groupedMessages, posted, entry);
+        continue;
+      }
+      
+      try {
+        const channel = await client.channels.fetch(posted.channelId);
+        const message = await channel.messages.fetch(posted.messageId);
+        
+        await message.edit({
+          embeds: [createClosedListingEmbed(message.embeds[0], entry)],
+          components: [createButtonRow(entry.id, true)],
+        });
+      } catch (error) {
+        console.error(`Error updating message for closed listing ${entry.id}:`, error.message);
+      }
+    }
+    
+    console.log(`🔒 Closed (${entry.closedReason}): ${entry.company} - ${entry.role}`);
+    
+    if (notifyApplicants) {
+      await notifyApplicantsOfClosure(client, entry);
+    }
+  }
+}
+
+/**
+ * Restore the posted messages of listings that came back open after closing or disappearing
+ * They're already seen, so they aren't posted again; grouped messages are queued like in markListingsClosed
+ */
+async function markListingsReopened(client, entries, groupedMessages) {
+  for (const entry of entries) {
+    for (const posted of entry.messages || []) {
+      if (posted.digest) {
+        continue;
+      }
+      
+      if (posted.group) {
+        queueGroupedRefresh(groupedMessages, posted, entry);
+        continue;
+      }
+      
+      try {
+        const channel = await client.channels.fetch(posted.channelId);
+        const message = await channel.messages.fetch(posted.messageId);
+        
+        await message.edit({
+          embeds: [await addApplicantCount(createListingEmbed(entry), [entry.id], message.guildId)],
+          components: [createButtonRow(entry.id)],
+        });
+      } catch (error) {
+        console.error(`Error updating message for reopened listing ${entry.id}:`, error.message);
+      }
+    }
+    
+    console.log(`🔓 Reopened: ${entry.company} - ${entry.role}`);
+  }
+}
+
+/**
+ * Post an update notice in the thread under a listing message, starting the thread if needed
+ */
+async function postUpdateNotice(client, message, posted, entry, summary) {
+  let thread = message.thread || null;
+  if (!thread && posted.threadId) {
+    thread = await client.channels.fetch(posted.threadId).catch(() => null);
+  }
+  
+  if (!thread) {
+    thread = await message.startThread({ name: `Updates: ${entry.company} - ${entry.role}`.slice(0, 100) });
+    await recordMessageThread(posted.messageId, thread.id);
+  }
+  
+  await thread.send(`✏️ **Updated:** ${summary}`);
+}
+
+/**
+ * Re-render the posted messages of listings that were edited upstream
+ * With LISTING_UPDATE_NOTICES=thread a compact notice is also posted in a thread under each message
+ * Grouped messages are only queued in `groupedMessages`, to be re-rendered once per check
+ */
+async function announceListingUpdates(client, updates, groupedMessages) {
+  const postNotices = process.env.LISTING_UPDATE_NOTICES === 'thread';
+  
+  for (const { entry, changes } of updates) {
+    const summary = formatListingChanges(changes);
+    
+    for (const posted of entry.messages || []) {
+      if (posted.digest) {
+        continue;
+      }
+      
+      if (posted.group) {
+        queueGroupedRefresh(groupedMessages, posted, entry, summary);
+        continue;
+      }
+      
+      try {
+        const channel = await client.channels.fetch(posted.channelId);
+        const message = await channel.messages.fetch(posted.messageId);
+        
+        // A new apply link means a new listing ID, so the button is rebuilt too
+        await message.edit({
+          embeds: [await addApplicantCount(createListingEmbed(entry, summary), [entry.id], message.guildId)],
+          components: [createButtonRow(entry.id)],
+        });
+        
+        if (postNotices) {
+          await postUpdateNotice(client, message, posted, entry, summary);
+        }
+      } catch (error) {
+        console.error(`Error updating message for edited listing ${entry.id}:`, error.message);
+      }
+    }
+    
+    console.log(`✏️ Updated: ${entry.company} - ${entry.role} (${summary})`);
+  }
+}
+
+/**
+ * Load every source's previously seen listings into memory, before the first check
+ */
+export async function restoreSeenListings() {
+  const sources = await getSources();
+  const seen = await loadSeenListings(sources);
+  
+  for (const [sourceId, ids] of seen) {
+    lastKnownListings.set(sourceId, ids);
+    console.log(`📋 [${sourceId}] Loaded ${ids.size} previously seen listings`);
+  }
+}
+
 /**
  * Main monitoring function
+ * `channelId` is used for any source that doesn't configure its own channel
  */
 export async function monitorRepository(client, channelId) {
   const pollInterval = parseInt(process.env.POLL_INTERVAL) || 300000; // 5 minutes default
+  const minPollInterval = parseInt(process.env.POLL_INTERVAL_MIN) || Math.round(pollInterval / 5);
+  const maxPollInterval = parseInt(process.env.POLL_INTERVAL_MAX) || pollInterval * 3;
+  const sources = await getSources();
   
-  console.log(`🔄 Starting to monitor repository (checking every ${pollInterval / 1000} seconds)...`);
+  console.log(`🔄 Starting to monitor ${sources.length} source(s) (checking every ${pollInterval / 1000} seconds, adapting between ${minPollInterval / 1000} and ${maxPollInterval / 1000})...`);
   
   // Load previously seen listings
-  lastKnownListings = await loadSeenListings();
-  console.log(`📋 Loaded ${lastKnownListings.size} previously seen listings`);
+  await restoreSeenListings();
   
   // Initial check
   await checkForUpdates(client, channelId);
   
-  // Set up polling
-  setInterval(async () => {
-    await checkForUpdates(client, channelId);
-  }, pollInterval);
+  // Set up polling: poll faster while the README keeps changing, slower while it's quiet
+  let currentInterval = pollInterval;
+  setPollInterval(currentInterval);
+  
+  const scheduleNextPoll = () => {
+    setTimeout(async () => {
+      const changed = await checkForUpdates(client, channelId);
+      
+      const nextInterval = changed
+        ? Math.max(minPollInterval, Math.round(currentInterval / 2))
+        : Math.min(maxPollInterval, Math.round(currentInterval * 1.25));
+      
+      if (nextInterval !== currentInterval) {
+        console.log(`⏱️ Poll interval ${changed ? 'shortened' : 'lengthened'} to ${Math.round(nextInterval / 1000)} seconds`);
+      }
+      
+      currentInterval = nextInterval;
+      setPollInterval(currentInterval);
+      scheduleNextPoll();
+    }, currentInterval);
+  };
+  scheduleNextPoll();
+  
+  // Set up scheduled digests
+  for (const source of sources.filter(s => s.posting.mode === 'scheduled')) {
+    console.log(`🗓️ [${source.id}] Posting a digest every ${source.posting.intervalMinutes} minutes`);
+    setInterval(async () => {
+      await flushScheduledDigest(client, source, channelId);
+    }, source.posting.intervalMinutes * 60 * 1000);
+  }
 }
 
 /**
  * Get all current listings from GitHub
+ * Pass a source id to only fetch that source
+ * Parses are cached for LISTINGS_CACHE_TTL seconds, and refreshed with a conditional request after that
  * Exported for use in commands
  */
-export async function getAllListings() {
+export async function getAllListings(sourceId = null) {
+  const cacheTtl = (parseInt(process.env.LISTINGS_CACHE_TTL) || 60) * 1000;
+  
   try {
-    const readmeContent = await fetchReadme();
-    return parseInternshipListings(readmeContent);
+    const sources = await getSources();
+    const selected = sourceId ? sources.filter(s => s.id === sourceId) : sources;
+    const listings = [];
+    
+    for (const source of selected) {
+      let parsed = parsedListings.get(source.id);
+      const expired = !parsed || Date.now() - parsed.parsedAt > cacheTtl;
+      
+      // While a source is backing off, keep serving its last parse
+      if (expired && (!parsed || getBackoffRemaining(source.id) === 0)) {
+        try {
+          parsed = await loadListings(source);
+        } catch (error) {
+          // A stale list beats an error while GitHub is failing or rate limiting us
+          if (!parsed) throw error;
+          console.log(`⚠️ [${source.id}] Using cached listings from ${Math.round((Date.now() - parsed.parsedAt) / 1000)}s ago`);
+        }
+      }
+      
+      listings.push(...parsed.listings.filter(listing => !listing.closed));
+    }
+    
+    return listings;
   } catch (error) {
     console.error('❌ Error fetching listings:', error);
     throw error;
@@ -313,52 +813,184 @@ export async function getAllListings() {
 }
 
 /**
- * Check for updates and send new listings
- * Exported for use in slash commands
+ * Check a single source for new listings and post them to its channel
+ * Returns false when the check was skipped (unchanged README or backing off)
  */
-export async function checkForUpdates(client, channelId) {
-  try {
-    console.log('🔍 Checking for new internships...');
+async function checkSource(client, source, channelId, ref) {
+  const backoff = getBackoffRemaining(source.id);
+  if (backoff > 0 && !ref) {
+    console.log(`🐢 [${source.id}] Skipping check, backing off for another ${Math.ceil(backoff / 1000)}s`);
+    return false;
+  }
+  
+  console.log(`🔍 [${source.id}] Checking for new internships${ref ? ` at ${ref.slice(0, 7)}` : ''}...`);
+  
+  const { listings: currentListings, stats, content } = await loadListings(source, ref);
+  
+  // Nothing to do if the README is exactly what the last complete check saw
+  if (checkedContent.get(source.id) === content) {
+    console.log(`✨ [${source.id}] ${source.file} unchanged since the last check`);
+    return false;
+  }
+  
+  console.log(`📊 [${source.id}] Found ${currentListings.length} total listings`);
+  
+  // Alert the admins when the README format looks like it changed (and when it recovers)
+  const health = await checkParseHealth(source, stats, currentListings);
+  if (health.changed) {
+    await reportParseHealth(client, source, health);
+  }
+  
+  if (!lastKnownListings.has(source.id)) {
+    lastKnownListings.set(source.id, new Set());
+  }
+  const seen = lastKnownListings.get(source.id);
+  
+  const isFirstRun = !initializedSources.has(source.id);
+  
+  // Stored data from before URL-based IDs gets migrated on the first run,
+  // before the catalog update would mistake the old IDs for removed listings
+  let migrated = false;
+  if (isFirstRun && [...seen].some(isLegacyListingId)) {
+    await migrateLegacyIds(source, currentListings);
+    migrated = true;
+  }
+  
+  // A broken parse would make every missing listing look removed, so only trust removals from a healthy one
+  const { closed: closedEntries, reopened, updated } = await updateCatalog(source.id, currentListings, { markRemoved: health.ok });
+  
+  // A grouped message can have one variant close and another change in the same check;
+  // it's re-rendered once, after both
+  const groupedMessages = new Map();
+  
+  if (closedEntries.length > 0) {
+    await markListingsClosed(client, closedEntries, groupedMessages);
+  }
+  
+  if (reopened.length > 0) {
+    await markListingsReopened(client, reopened, groupedMessages);
+  }
+  
+  // Listings whose apply link changed keep their history under the new ID instead of being posted again
+  const renamed = new Map(updated.filter(update => update.previousId).map(update => [update.previousId, update.entry.id]));
+  if (renamed.size > 0) {
+    for (const [oldId, newId] of renamed) {
+      if (seen.delete(oldId)) {
+        seen.add(newId);
+      }
+    }
+    await saveSeenListings(lastKnownListings);
+    const mapId = id => renamed.get(id) || null;
+    await migrateApplicationIds(mapId);
+    await migrateListingMarkIds(mapId);
+  }
+  
+  if (updated.length > 0) {
+    await announceListingUpdates(client, updated, groupedMessages);
+  }
+  
+  await refreshGroupedMessages(client, groupedMessages);
+  
+  // With no saved state (first run ever, or a newly added source) or a freshly
+  // migrated one we can't tell what's new, so just save all listings as seen
+  if (isFirstRun && (seen.size === 0 || migrated)) {
+    console.log(`🚀 [${source.id}] Initializing - marking all current listings as seen...`);
+    for (const listing of currentListings) {
+      if (!listing.closed) {
+        seen.add(getListingId(listing));
+      }
+    }
+    await saveSeenListings(lastKnownListings);
+    initializedSources.add(source.id);
+    checkedContent.set(source.id, content);
+    console.log(`✅ [${source.id}] Initialization complete. Monitoring for new listings...`);
+    return true;
+  }
+  
+  initializedSources.add(source.id);
+  
+  // Find new listings (a posting listed under two sections shares one ID, so only take it once)
+  const newIds = new Set();
+  const newListings = currentListings.filter(listing => {
+    const id = getListingId(listing);
+    if (listing.closed || seen.has(id) || newIds.has(id)) {
+      return false;
+    }
+    newIds.add(id);
+    return true;
+  });
+  
+  if (newListings.length > 0 && isFirstRun) {
+    // Listings added while the bot was offline
+    console.log(`⏪ [${source.id}] Found ${newListings.length} listing(s) posted while offline`);
+    await sendCatchUpListings(client, source, source.channelId || channelId, newListings);
     
-    const readmeContent = await fetchReadme();
-    const currentListings = parseInternshipListings(readmeContent);
+    for (const listing of newListings) {
+      seen.add(getListingId(listing));
+    }
+    await saveSeenListings(lastKnownListings);
+    await sendListingAlerts(client, newListings);
+  } else if (newListings.length > 0) {
+    console.log(`🎉 [${source.id}] Found ${newListings.length} new listing(s)!`);
     
-    console.log(`📊 Found ${currentListings.length} total listings`);
+    // Send new listings to the source's channel
+    await postListings(client, source, source.channelId || channelId, newListings);
     
-    // On first run, just save all listings as seen
-    if (!isInitialized) {
-      console.log('🚀 Initializing - marking all current listings as seen...');
-      for (const listing of currentListings) {
-        lastKnownListings.add(getListingId(listing));
-      }
-      await saveSeenListings(lastKnownListings);
-      isInitialized = true;
-      console.log('✅ Initialization complete. Monitoring for new listings...');
-      return;
+    // Update seen listings
+    for (const listing of newListings) {
+      seen.add(getListingId(listing));
     }
+    await saveSeenListings(lastKnownListings);
     
-    // Find new listings
-    const newListings = currentListings.filter(listing => {
-      const id = getListingId(listing);
-      return !lastKnownListings.has(id);
-    });
+    // DM everyone whose saved searches match
+    await sendListingAlerts(client, newListings);
+  } else {
+    console.log(`✨ [${source.id}] No new listings found`);
+  }
+  
+  checkedContent.set(source.id, content);
+  return true;
+}
+
+/**
+ * Check every source for updates and send new listings
+ * Pass `pushedRefs` (source id -> commit SHA) to only check the sources a push touched
+ * Exported for use in slash commands and the webhook receiver
+ */
+export function checkForUpdates(client, channelId, pushedRefs = null) {
+  const run = checkChain.then(() => runChecks(client, channelId, pushedRefs));
+  checkChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Run one round of checks (see checkForUpdates)
+ * Returns whether any source's README had changed
+ */
+async function runChecks(client, channelId, pushedRefs) {
+  let changed = false;
+  
+  try {
+    const sources = await getSources();
+    const selected = pushedRefs ? sources.filter(s => pushedRefs.has(s.id)) : sources;
     
-    if (newListings.length > 0) {
-      console.log(`🎉 Found ${newListings.length} new listing(s)!`);
-      
-      // Send new listings to Discord
-      await sendNewListings(client, channelId, newListings);
-      
-      // Update seen listings
-      for (const listing of newListings) {
-        lastKnownListings.add(getListingId(listing));
+    for (const source of selected) {
+      try {
+        if (await checkSource(client, source, channelId, pushedRefs?.get(source.id))) {
+          changed = true;
+        }
+        // Local snapshot directories replay one snapshot per check
+        await advanceSnapshot(source);
+      } catch (error) {
+        console.error(`❌ [${source.id}] Error checking for updates:`, error);
       }
-      await saveSeenListings(lastKnownListings);
-    } else {
-      console.log('✨ No new listings found');
     }
+    
+    // Alerts held for quiet hours go out on the first check after they end
+    await flushHeldAlerts(client);
   } catch (error) {
     console.error('❌ Error checking for updates:', error);
   }
+  
+  return changed;
 }
-
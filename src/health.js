@@ -0,0 +1,130 @@
+import { EmbedBuilder } from 'discord.js';
+import { describeSource } from './sources.js';
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('parse-health.json');
+
+/**
+ * Load the last parse status of every source
+ */
+export async function getParseHealth() {
+  return await store.load();
+}
+
+/**
+ * Save parse statuses
+ */
+async function saveParseHealth(health) {
+  await store.save(health);
+}
+
+/**
+ * Run the health checks on a parse of a source's README:
+ * every configured section was found, not too many rows were skipped,
+ * and the open listing count didn't suddenly drop compared with the previous run
+ * The result is saved as the source's last parse status; `changed` is set when it
+ * differs from the previous one, so alerts are only sent once per problem
+ */
+export async function checkParseHealth(source, stats, listings) {
+  const maxSkipRatio = parseFloat(process.env.PARSE_MAX_SKIP_RATIO) || 0.2;
+  const maxDropRatio = parseFloat(process.env.PARSE_MAX_DROP_RATIO) || 0.3;
+  
+  const allHealth = await getParseHealth();
+  const previous = allHealth[source.id] || null;
+  const openCount = listings.filter(listing => !listing.closed).length;
+  const previousOpenCount = previous?.openCount ?? null;
+  const problems = [];
+  
+  if (stats.sectionsMissing.length > 0) {
+    problems.push(`Sections not found: ${stats.sectionsMissing.join(', ')}`);
+  }
+  
+  if (listings.length === 0) {
+    problems.push('No listings parsed');
+  }
+  
+  if (stats.rows > 0 && stats.skipped / stats.rows > maxSkipRatio) {
+    problems.push(`${stats.skipped} of ${stats.rows} rows skipped (over ${Math.round(maxSkipRatio * 100)}%)`);
+  }
+  
+  // Small lists swing too much for the drop check to mean anything
+  if (previousOpenCount >= 10 && openCount < previousOpenCount * (1 - maxDropRatio)) {
+    problems.push(`Open listings dropped from ${previousOpenCount} to ${openCount}`);
+  }
+  
+  const health = {
+    ok: problems.length === 0,
+    problems,
+    checkedAt: new Date().toISOString(),
+    sectionsFound: stats.sectionsFound.length,
+    sectionsMissing: stats.sectionsMissing,
+    rows: stats.rows,
+    parsed: listings.length,
+    skipped: stats.skipped,
+    openCount,
+    previousOpenCount,
+  };
+  
+  allHealth[source.id] = health;
+  await saveParseHealth(allHealth);
+  
+  const changed = previous
+    ? previous.ok !== health.ok || previous.problems.join('\n') !== problems.join('\n')
+    : !health.ok;
+  
+  if (!health.ok) {
+    console.log(`🩺 [${source.id}] Parse health check failed: ${problems.join('; ')}`);
+  }
+  
+  return { ...health, changed };
+}
+
+/**
+ * Post a parse health alert (or recovery notice) to the admin channel
+ */
+export async function reportParseHealth(client, source, health) {
+  const adminChannelId = process.env.ADMIN_CHANNEL_ID;
+  
+  if (!adminChannelId) {
+    return;
+  }
+  
+  const embed = health.ok
+    ? new EmbedBuilder()
+      .setTitle(`✅ Parser recovered: ${source.name}`)
+      .setDescription(`Parsed ${health.parsed} listings from ${health.sectionsFound} section(s).`)
+      .setColor(0x57F287)
+    : new EmbedBuilder()
+      .setTitle(`🩺 Parser health check failed: ${source.name}`)
+      .setDescription(
+        `The format of **${describeSource(source)}** may have changed.\n\n` +
+        health.problems.map(problem => `• ${problem}`).join('\n') +
+        `\n\n**Sections found:** ${health.sectionsFound}\n` +
+        `**Rows parsed:** ${health.parsed} of ${health.rows} (${health.skipped} skipped)\n\n` +
+        'Removed listings won\'t be marked as closed until the check passes again.'
+      )
+      .setColor(0xED4245);
+  
+  try {
+    const channel = await client.channels.fetch(adminChannelId);
+    await channel.send({ embeds: [embed.setTimestamp()] });
+  } catch (error) {
+    console.error('Error sending parse health alert:', error);
+  }
+}
+
+/**
+ * Format a source's last parse status for /stats
+ */
+export function formatParseHealth(health) {
+  if (!health) {
+    return 'Not checked yet';
+  }
+  
+  const checkedAt = Math.floor(new Date(health.checkedAt).getTime() / 1000);
+  const summary = `${health.parsed} parsed, ${health.skipped} skipped, ${health.sectionsFound} section(s) · <t:${checkedAt}:R>`;
+  
+  return health.ok
+    ? `✅ OK — ${summary}`
+    : `⚠️ ${health.problems.join('; ')}\n${summary}`;
+}
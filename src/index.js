@@ -1,8 +1,14 @@
 import { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, SlashCommandBuilder, REST, Routes } from 'discord.js';
 import dotenv from 'dotenv';
 import { monitorRepository, checkForUpdates } from './github-monitor.js';
+import { getSources, describeSource } from './sources.js';
+import { startWebhookServer } from './webhook.js';
+import { isDryRun, createDryRunClient } from './dry-run.js';
+import { getParseHealth, formatParseHealth } from './health.js';
+import { getPollInterval, formatFetchMetrics } from './fetcher.js';
 import { handleInteraction, handleReactionAdd, handleReactionRemove } from './interactions.js';
 import { handleMessageCommand } from './commands.js';
+import { getSlashCommands, isSlashCommand, handleSlashCommand, handleAutocomplete } from './slash-commands.js';
 import { createDailyRecapEmbed } from './gamification.js';
 import { updateStreak, resetWeeklyPoints, getAllUsers, updateUser } from './database.js';
 
@@ -19,11 +25,15 @@ if (!process.env.DISCORD_CHANNEL_ID) {
   process.exit(1);
 }
 
+// The `?` commands need the privileged MessageContent intent; with PREFIX_COMMANDS=false
+// only slash commands are available and the intent isn't requested
+const prefixCommandsEnabled = process.env.PREFIX_COMMANDS !== 'false';
+
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
+    ...(prefixCommandsEnabled ? [GatewayIntentBits.MessageContent] : []),
     GatewayIntentBits.GuildMessageReactions,
   ],
 });
@@ -31,6 +41,9 @@ const client = new Client({
 // Store channel ID globally for commands
 let monitoringChannelId = process.env.DISCORD_CHANNEL_ID;
 
+// In dry-run mode the monitor prints what it would post instead of posting; commands still work
+const monitorClient = isDryRun() ? createDryRunClient() : client;
+
 /**
  * Set up daily recap functionality
  */
@@ -135,7 +148,20 @@ function setupWeeklyReset() {
 
 client.once('ready', async () => {
   console.log(`✅ Bot is ready! Logged in as ${client.user.tag}`);
-  console.log(`📊 Monitoring: ${process.env.GITHUB_REPO_OWNER}/${process.env.GITHUB_REPO_NAME}`);
+  
+  if (isDryRun()) {
+    console.log('📝 Dry run: new listings, closures and alerts are printed instead of posted, and monitor data isn\'t saved');
+  }
+  
+  try {
+    const sources = await getSources();
+    for (const source of sources) {
+      console.log(`📊 Monitoring [${source.id}]: ${describeSource(source)} → #${source.channelId}`);
+    }
+  } catch (error) {
+    console.error('❌ Invalid listing source configuration:', error);
+    process.exit(1);
+  }
   
   // Register slash commands
   try {
@@ -146,7 +172,7 @@ client.once('ready', async () => {
       new SlashCommandBuilder()
         .setName('stats')
         .setDescription('Show bot statistics'),
-    ].map(command => command.toJSON());
+    ].map(command => command.toJSON()).concat(getSlashCommands());
 
     const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
     const clientId = client.user.id;
@@ -156,13 +182,16 @@ client.once('ready', async () => {
       { body: commands },
     );
 
-    console.log('✅ Slash commands registered');
+    console.log(`✅ ${commands.length} slash commands registered`);
   } catch (error) {
     console.error('❌ Error registering commands:', error);
   }
   
   // Start monitoring the repository
-  monitorRepository(client, monitoringChannelId);
+  monitorRepository(monitorClient, monitoringChannelId);
+  
+  // Check right away when GitHub reports a push (optional, polling stays on as a fallback)
+  startWebhookServer(monitorClient, monitoringChannelId);
   
   // Set up daily recap (runs at midnight UTC)
   setupDailyRecap(client, monitoringChannelId);
@@ -172,26 +201,40 @@ client.once('ready', async () => {
 });
 
 client.on('interactionCreate', async (interaction) => {
-  if (interaction.isButton()) {
+  if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
     await handleInteraction(interaction, client);
+  } else if (interaction.isAutocomplete()) {
+    await handleAutocomplete(interaction);
   } else if (interaction.isChatInputCommand()) {
-    if (interaction.commandName === 'check') {
+    if (isSlashCommand(interaction.commandName)) {
+      await handleSlashCommand(interaction);
+    } else if (interaction.commandName === 'check') {
       await interaction.deferReply({ ephemeral: true });
       try {
-        await checkForUpdates(client, monitoringChannelId);
+        await checkForUpdates(monitorClient, monitoringChannelId);
         await interaction.editReply('✅ Checked for new listings!');
       } catch (error) {
         console.error('Error in check command:', error);
         await interaction.editReply('❌ Error checking for listings. Check console for details.');
       }
     } else if (interaction.commandName === 'stats') {
+      const sources = await getSources();
+      const parseHealth = await getParseHealth();
+      const sourceText = sources
+        .map(s =>
+          `**${s.name}** (\`${s.id}\`)\n\`${describeSource(s)}\` → <#${s.channelId || monitoringChannelId}>\n` +
+          `**Last parse:** ${formatParseHealth(parseHealth[s.id])}\n` +
+          `**Fetches:** ${formatFetchMetrics(s.id)}`
+        )
+        .join('\n\n');
+      
       const embed = new EmbedBuilder()
         .setTitle('📊 Bot Statistics')
         .setDescription(
-          `**Repository:** ${process.env.GITHUB_REPO_OWNER}/${process.env.GITHUB_REPO_NAME}\n` +
-          `**Branch:** ${process.env.GITHUB_BRANCH || 'dev'}\n` +
-          `**Poll Interval:** ${(parseInt(process.env.POLL_INTERVAL) || 300000) / 1000} seconds\n` +
-          `**Channel:** <#${monitoringChannelId}>`
+          `**Poll Interval:** ${Math.round((getPollInterval() || parseInt(process.env.POLL_INTERVAL) || 300000) / 1000)} seconds (base ${(parseInt(process.env.POLL_INTERVAL) || 300000) / 1000})\n` +
+          `**Push Webhook:** ${process.env.WEBHOOK_PORT && process.env.WEBHOOK_SECRET ? `on (port ${process.env.WEBHOOK_PORT})` : 'off'}\n` +
+          `**Default Channel:** <#${monitoringChannelId}>\n\n` +
+          `**Sources:**\n${sourceText}`
         )
         .setColor(0x5865F2)
         .setTimestamp();
@@ -204,7 +247,7 @@ client.on('interactionCreate', async (interaction) => {
 // Handle message-based commands (e.g., ?today, ?search)
 client.on('messageCreate', async (message) => {
   // Ignore messages from bots
-  if (message.author.bot) return;
+  if (message.author.bot || !prefixCommandsEnabled) return;
   
   // Handle commands
   await handleMessageCommand(message);
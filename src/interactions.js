@@ -1,127 +1,401 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { EmbedBuilder } from 'discord.js';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
 import { getUserTasks, completeTask, uncompleteTask, getUser } from './database.js';
+import { getCatalogEntries, getMessageListings } from './catalog.js';
+import { recordApplication, removeApplication, hasApplied, MAX_NOTE_LENGTH } from './applications.js';
+import { saveListing, unsaveListing, hideListing, unhideListing } from './listing-marks.js';
+import { getServerSettings } from './server-settings.js';
+import { refreshApplicantCounts } from './applicant-count.js';
+import { handleBrowserButton } from './result-browser.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// What each grouped-listing button does with the picked variants
+const VARIANT_ACTIONS = {
+  apply: { placeholder: '✅ Pick the location(s) you applied to', question: 'did you apply to' },
+  save: { placeholder: '💾 Pick a location to save for later', question: 'do you want to save' },
+  hide: { placeholder: '🙈 Pick a location you\'re not interested in', question: 'do you want to hide' },
+};
 
-const dataDir = path.join(__dirname, '../data');
-const applicationsFile = path.join(dataDir, 'applications.json');
+/**
+ * Handle the "I Applied", "Save for later" and "Not interested" buttons on a grouped listing:
+ * ask which variant through a select menu, whose choices are then recorded like a digest selection
+ * or saved/hidden like a result browser's menu
+ */
+async function handleVariantButton(interaction, action) {
+  const entries = (await getMessageListings(interaction.message.id)).filter(entry => !entry.closedAt);
+  
+  if (entries.length === 0) {
+    await interaction.reply({
+      content: '🔒 Every variant of this listing has closed.',
+      ephemeral: true,
+    });
+    return;
+  }
+  
+  const applied = await Promise.all(entries.map(entry => hasApplied(interaction.user.id, entry.id)));
+  const { placeholder, question } = VARIANT_ACTIONS[action];
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(action === 'apply' ? `applyselect_${interaction.message.id}` : `resultaction_${interaction.message.id}`)
+    .setPlaceholder(placeholder)
+    .setMinValues(1)
+    .setMaxValues(action === 'apply' ? entries.length : 1)
+    .addOptions(entries.map((entry, i) => {
+      const details = [
+        entry.terms?.length ? entry.terms.join(', ') : null,
+        applied[i] ? 'Already marked as applied' : null,
+      ].filter(Boolean).join(' · ');
+      
+      return {
+        label: (entry.location || 'Location not listed').slice(0, 100),
+        ...(details && { description: details.slice(0, 100) }),
+        value: action === 'apply' ? entry.id : `${action}_${entry.id}`,
+      };
+    }));
+  
+  await interaction.reply({
+    content: `Which **${entries[0].company} - ${entries[0].role}** ${question}?`,
+    components: [new ActionRowBuilder().addComponents(menu)],
+    ephemeral: true,
+  });
+}
 
 /**
- * Load applications data
+ * Handle the apply select menu on digest messages and grouped listings
+ * Each selected value is a listing ID, recorded the same way as an `apply_` button click
  */
-async function loadApplications() {
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-    const content = await fs.readFile(applicationsFile, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return {};
+async function handleApplySelect(interaction) {
+  const userId = interaction.user.id;
+  const username = interaction.user.username;
+  const recordedIds = [];
+  
+  for (const listingId of interaction.values) {
+    if (await recordApplication(userId, listingId)) {
+      await unsaveListing(userId, listingId);
+      recordedIds.push(listingId);
+      console.log(`📝 ${username} marked application: ${listingId}`);
+    }
+  }
+  
+  if (recordedIds.length === 0) {
+    await interaction.reply({
+      content: `✅ You've already marked ${interaction.values.length > 1 ? 'these applications' : 'this application'} as submitted!`,
+      ephemeral: true,
+    });
+    return;
+  }
+  
+  const entries = await getCatalogEntries(recordedIds);
+  const { broadcast } = await getServerSettings(interaction.guildId);
+  let confirmation = null;
+  
+  if (broadcast) {
+    const titles = entries.map(entry => `**${entry.emoji || '💼'} ${entry.company} - ${entry.role}** (${entry.location})`).join('\n');
+    
+    // Send confirmation to channel
+    const confirmationEmbed = new EmbedBuilder()
+      .setTitle('🎉 Application Recorded!')
+      .setDescription(`${username} has applied to:\n${titles}`)
+      .setColor(0x57F287)
+      .setTimestamp();
+    
+    confirmation = await interaction.channel.send({ embeds: [confirmationEmbed] });
+  }
+  
+  // One undo button per application; the announcement is only taken down with a single one,
+  // as it also names the others
+  let components;
+  if (recordedIds.length === 1) {
+    components = [createUndoRow(confirmation ? `unapply_${recordedIds[0]}_${confirmation.id}` : `unapply_${recordedIds[0]}`)];
+  } else {
+    const labels = new Map(entries.map(entry => [entry.id, `Undo ${entry.company} (${entry.location || 'Location not listed'})`]));
+    const buttons = recordedIds.map(listingId => createUndoButton(`unapply_${listingId}`, labels.get(listingId) || `Undo ${listingId}`));
+    components = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+      components.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
     }
-    console.error('Error loading applications:', error);
-    return {};
   }
+  
+  await interaction.reply({
+    content: `✅ Recorded ${recordedIds.length} application${recordedIds.length > 1 ? 's' : ''}! Good luck! 🍀`,
+    components,
+    ephemeral: true,
+  });
+  
+  await refreshApplicantCounts(interaction.client, recordedIds, interaction.message);
+}
+
+/**
+ * Handle the `apply_` button: open the "I Applied" form, or offer an undo if it's already marked
+ */
+async function handleApplyButton(interaction, listingId) {
+  if (await hasApplied(interaction.user.id, listingId)) {
+    await interaction.reply({
+      content: `✅ You've already marked this application as submitted! Clicked by mistake?`,
+      components: [createUndoRow(`unapply_${listingId}`)],
+      ephemeral: true,
+    });
+    return;
+  }
+  
+  // Result browsers have several listings per message, so take the title from the catalog
+  const [entry] = await getCatalogEntries([listingId]);
+  const title = entry ? `${entry.company} - ${entry.role}` : interaction.message.embeds[0]?.title || 'this internship';
+  
+  const modal = new ModalBuilder()
+    .setCustomId(`applymodal_${listingId}`)
+    .setTitle(`I Applied: ${title}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(new TextInputBuilder()
+        .setCustomId('referral')
+        .setLabel('Referral')
+        .setPlaceholder('Who referred you, if anyone')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(100)
+        .setRequired(false)),
+      new ActionRowBuilder().addComponents(new TextInputBuilder()
+        .setCustomId('resume')
+        .setLabel('Resume version')
+        .setPlaceholder('e.g. v3-backend')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(100)
+        .setRequired(false)),
+      new ActionRowBuilder().addComponents(new TextInputBuilder()
+        .setCustomId('note')
+        .setLabel('Notes')
+        .setPlaceholder('Anything to remember, e.g. applied through the careers fair form')
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(MAX_NOTE_LENGTH)
+        .setRequired(false))
+    );
+  
+  await interaction.showModal(modal);
+}
+
+/**
+ * Handle the "I Applied" form: record the application with its details, announce it if the
+ * server wants every click posted, and give the user an undo button that also takes the
+ * announcement down; then update the listing's applicant count
+ */
+async function handleApplyModal(interaction) {
+  const listingId = interaction.customId.replace('applymodal_', '');
+  const userId = interaction.user.id;
+  const username = interaction.user.username;
+  const details = Object.fromEntries(['referral', 'resume', 'note']
+    .map(field => [field, interaction.fields.getTextInputValue(field).trim()]));
+  
+  if (!(await recordApplication(userId, listingId, details))) {
+    await interaction.reply({
+      content: `✅ You've already marked this application as submitted!`,
+      ephemeral: true,
+    });
+    return;
+  }
+  
+  // Applying is what it was saved for
+  await unsaveListing(userId, listingId);
+  
+  const { broadcast } = await getServerSettings(interaction.guildId);
+  let confirmation = null;
+  
+  if (broadcast) {
+    const [entry] = await getCatalogEntries([listingId]);
+    const title = entry ? `${entry.emoji || '💼'} ${entry.company} - ${entry.role}` : interaction.message?.embeds[0]?.title || listingId;
+    
+    // Send confirmation to channel
+    const confirmationEmbed = new EmbedBuilder()
+      .setTitle('🎉 Application Recorded!')
+      .setDescription(`${username} has applied to:\n**${title}**`)
+      .setColor(0x57F287)
+      .setTimestamp();
+    
+    confirmation = await interaction.channel.send({ embeds: [confirmationEmbed] });
+  }
+  
+  const recorded = [details.referral && 'referral', details.resume && 'resume version', details.note && 'note'].filter(Boolean);
+  const recordedText = recorded.length > 1 ? `${recorded.slice(0, -1).join(', ')} and ${recorded.at(-1)}` : recorded[0];
+  await interaction.reply({
+    content: `✅ Your application has been recorded${recordedText ? ` with your ${recordedText}` : ''}! Good luck! 🍀\nTrack its progress with \`?app status\`.`,
+    components: [createUndoRow(confirmation ? `unapply_${listingId}_${confirmation.id}` : `unapply_${listingId}`)],
+    ephemeral: true,
+  });
+  
+  console.log(`📝 ${username} marked application: ${listingId}`);
+  await refreshApplicantCounts(interaction.client, [listingId], interaction.message);
 }
 
 /**
- * Save applications data
+ * Handle the undo button under an application confirmation
+ * The custom ID carries the listing ID and, when one was posted, the channel announcement to delete
+ * Undo buttons for the other applications of a menu selection stay
  */
-async function saveApplications(applications) {
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-    await fs.writeFile(applicationsFile, JSON.stringify(applications, null, 2));
-  } catch (error) {
-    console.error('Error saving applications:', error);
+async function handleUnapplyButton(interaction) {
+  const [, listingId, confirmationId] = interaction.customId.split('_');
+  const components = interaction.message.components
+    .map(row => row.components.filter(component => component.customId !== interaction.customId))
+    .filter(buttons => buttons.length > 0)
+    .map(buttons => new ActionRowBuilder().addComponents(buttons.map(button => ButtonBuilder.from(button))));
+  
+  if (!(await removeApplication(interaction.user.id, listingId))) {
+    await interaction.update({ content: '↩️ This application was already removed.', components });
+    return;
+  }
+  
+  if (confirmationId) {
+    try {
+      const confirmation = await interaction.channel.messages.fetch(confirmationId);
+      await confirmation.delete();
+    } catch (error) {
+      console.error(`Error deleting application confirmation ${confirmationId}:`, error.message);
+    }
   }
+  
+  await interaction.update({ content: '↩️ Application removed. It\'s no longer tracked, notes and all.', components });
+  console.log(`↩️ ${interaction.user.username} removed application: ${listingId}`);
+  
+  await refreshApplicantCounts(interaction.client, [listingId]);
 }
 
 /**
- * Record an application
+ * Handle "Save for later": a second click takes it off the saved list
  */
-async function recordApplication(userId, listingId) {
-  const applications = await loadApplications();
+async function handleSaveButton(interaction, listingId) {
+  const userId = interaction.user.id;
   
-  if (!applications[listingId]) {
-    applications[listingId] = [];
+  if (await hasApplied(userId, listingId)) {
+    await interaction.reply({ content: '✅ You\'ve already applied to this one, so there\'s nothing to save.', ephemeral: true });
+    return;
   }
   
-  if (!applications[listingId].includes(userId)) {
-    applications[listingId].push(userId);
-    await saveApplications(applications);
-    return true;
+  if (await saveListing(userId, listingId)) {
+    await interaction.reply({ content: '💾 Saved for later. See your saved listings with `?saved`.', ephemeral: true });
+    return;
   }
   
-  return false;
+  await unsaveListing(userId, listingId);
+  await interaction.reply({ content: '🗑️ Removed from your saved listings.', ephemeral: true });
 }
 
 /**
- * Check if user has already applied
+ * Handle "Not interested": hide the listing from the user's results, with an undo button
  */
-async function hasApplied(userId, listingId) {
-  const applications = await loadApplications();
-  return applications[listingId]?.includes(userId) || false;
+async function handleHideButton(interaction, listingId) {
+  await hideListing(interaction.user.id, listingId);
+  await interaction.reply({
+    content: '🙈 Hidden. It won\'t show in your `?recent`, `?search`, `?category`, `?near` or `?remote` results anymore. See what you\'ve hidden with `?hidden`.',
+    components: [createUndoRow(`unhide_${listingId}`)],
+    ephemeral: true,
+  });
 }
 
 /**
- * Handle button interactions
+ * Handle the undo button under a hidden listing
+ */
+async function handleUnhideButton(interaction) {
+  const listingId = interaction.customId.replace('unhide_', '');
+  await unhideListing(interaction.user.id, listingId);
+  await interaction.update({ content: '👀 It\'s back in your results.', components: [] });
+}
+
+/**
+ * Handle the save/hide menu of a result browser page or digest, or the variant picked on a grouped listing
+ * Each value is a button custom ID (`save_<id>` or `hide_<id>`), handled like the button
+ */
+async function handleResultAction(interaction) {
+  const [value] = interaction.values;
+  const separator = value.indexOf('_');
+  const action = value.slice(0, separator);
+  const listingId = value.slice(separator + 1);
+  
+  if (action === 'save') {
+    await handleSaveButton(interaction, listingId);
+  } else {
+    await handleHideButton(interaction, listingId);
+  }
+}
+
+/**
+ * An undo button
+ */
+function createUndoButton(customId, label = 'Undo') {
+  return new ButtonBuilder()
+    .setCustomId(customId)
+    .setLabel(label.slice(0, 80))
+    .setStyle(ButtonStyle.Secondary)
+    .setEmoji('↩️');
+}
+
+/**
+ * Row with a single undo button
+ */
+function createUndoRow(customId) {
+  return new ActionRowBuilder().addComponents(createUndoButton(customId));
+}
+
+/**
+ * Handle button, select menu and modal interactions
  */
 export async function handleInteraction(interaction, client) {
+  if (interaction.isStringSelectMenu() && interaction.customId.startsWith('applyselect_')) {
+    await handleApplySelect(interaction);
+    return;
+  }
+  
+  if (interaction.isStringSelectMenu() && interaction.customId.startsWith('resultaction_')) {
+    await handleResultAction(interaction);
+    return;
+  }
+  
+  if (interaction.isModalSubmit() && interaction.customId.startsWith('applymodal_')) {
+    await handleApplyModal(interaction);
+    return;
+  }
+  
   if (!interaction.isButton()) {
     return;
   }
   
   const customId = interaction.customId;
   
+  if (customId.startsWith('browse_')) {
+    await handleBrowserButton(interaction);
+    return;
+  }
+  
+  if (customId.startsWith('applyvariant_')) {
+    await handleVariantButton(interaction, 'apply');
+    return;
+  }
+  
+  if (customId.startsWith('savevariant_')) {
+    await handleVariantButton(interaction, 'save');
+    return;
+  }
+  
+  if (customId.startsWith('hidevariant_')) {
+    await handleVariantButton(interaction, 'hide');
+    return;
+  }
+  
   if (customId.startsWith('apply_')) {
-    const listingId = customId.replace('apply_', '');
-    const userId = interaction.user.id;
-    const username = interaction.user.username;
-    
-    // Check if already applied
-    const alreadyApplied = await hasApplied(userId, listingId);
-    
-    if (alreadyApplied) {
-      await interaction.reply({
-        content: `✅ You've already marked this application as submitted!`,
-        ephemeral: true,
-      });
-      return;
-    }
-    
-    // Record the application
-    const isNew = await recordApplication(userId, listingId);
-    
-    if (isNew) {
-      // Get the original message to extract listing info
-      const originalMessage = interaction.message;
-      const embed = originalMessage.embeds[0];
-      
-      // Send confirmation to channel
-      const confirmationEmbed = new EmbedBuilder()
-        .setTitle('🎉 Application Recorded!')
-        .setDescription(`${username} has applied to:\n**${embed.title}**`)
-        .setColor(0x57F287)
-        .setTimestamp();
-      
-      await interaction.channel.send({ embeds: [confirmationEmbed] });
-      
-      // Reply to the user
-      await interaction.reply({
-        content: `✅ Your application has been recorded! Good luck! 🍀`,
-        ephemeral: true,
-      });
-      
-      console.log(`📝 ${username} marked application: ${listingId}`);
-    } else {
-      await interaction.reply({
-        content: `❌ Error recording application. Please try again.`,
-        ephemeral: true,
-      });
-    }
+    await handleApplyButton(interaction, customId.replace('apply_', ''));
+    return;
+  }
+  
+  if (customId.startsWith('unapply_')) {
+    await handleUnapplyButton(interaction);
+    return;
+  }
+  
+  if (customId.startsWith('save_')) {
+    await handleSaveButton(interaction, customId.replace('save_', ''));
+    return;
+  }
+  
+  if (customId.startsWith('hide_')) {
+    await handleHideButton(interaction, customId.replace('hide_', ''));
+    return;
+  }
+  
+  if (customId.startsWith('unhide_')) {
+    await handleUnhideButton(interaction);
   }
 }
 
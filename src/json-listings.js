@@ -0,0 +1,185 @@
+import { createListingId } from './listing-id.js';
+import { createListingFlags } from './listing-flags.js';
+import { parseLocations } from './locations.js';
+
+// Upstream category names -> the categories used for README sections
+const CATEGORY_RULES = [
+  { pattern: /software|swe/i, category: '💻 Software Engineering', emoji: '💻' },
+  { pattern: /product/i, category: '📱 Product Management', emoji: '📱' },
+  { pattern: /data|machine learning|\bai\b|\bml\b/i, category: '🤖 Data Science, AI & ML', emoji: '🤖' },
+  { pattern: /quant/i, category: '📈 Quantitative Finance', emoji: '📈' },
+  { pattern: /hardware/i, category: '🔧 Hardware Engineering', emoji: '🔧' },
+];
+
+/**
+ * Map an upstream category to a category and emoji
+ */
+function mapCategory(category) {
+  const rule = CATEGORY_RULES.find(r => r.pattern.test(category || ''));
+  return rule
+    ? { category: rule.category, emoji: rule.emoji }
+    : { category: category ? `💼 ${category}` : '💼 Other', emoji: '💼' };
+}
+
+/**
+ * Format a posting date like the README's age column ("0d", "12d", "2mo")
+ */
+function formatAge(postedAt) {
+  const days = Math.max(0, Math.floor((Date.now() - postedAt.getTime()) / (24 * 60 * 60 * 1000)));
+  return days < 30 ? `${days}d` : `${Math.floor(days / 30)}mo`;
+}
+
+/**
+ * Turn the sponsorship and degree fields into the same flags the README markers produce
+ */
+function mapFlags(entry) {
+  const sponsorship = (entry.sponsorship || '').toLowerCase();
+  const degrees = (entry.degrees || []).map(degree => degree.toLowerCase());
+  
+  return createListingFlags({
+    noSponsorship: sponsorship.includes('does not offer'),
+    usCitizenship: sponsorship.includes('citizenship'),
+    advancedDegree: degrees.length > 0 && !degrees.some(degree => degree.includes('bachelor') || degree.includes('associate')),
+  });
+}
+
+/**
+ * Parse a listings.json file into listings, in the same shape as the README scraper
+ * Hidden entries and entries for other terms (when the source sets `terms`) are left out,
+ * inactive ones are kept as closed so closures are noticed
+ * Returns the listings (newest first) plus stats for the parser health checks
+ */
+export function parseJsonListings(content, source) {
+  const listings = [];
+  const stats = {
+    sectionsFound: [],
+    sectionsMissing: [],
+    rows: 0,
+    skipped: 0,
+  };
+  
+  let entries;
+  try {
+    entries = JSON.parse(content);
+  } catch (error) {
+    console.error(`❌ [${source.id}] ${source.file} is not valid JSON:`, error.message);
+    return { listings, stats };
+  }
+  
+  if (!Array.isArray(entries)) {
+    console.error(`❌ [${source.id}] ${source.file} is not a list of listings`);
+    return { listings, stats };
+  }
+  
+  const terms = source.terms.map(term => term.toLowerCase());
+  
+  for (const entry of entries) {
+    if (entry.is_visible === false) {
+      continue;
+    }
+    
+    if (terms.length > 0 && !(entry.terms || []).some(term => terms.includes(term.toLowerCase()))) {
+      continue;
+    }
+    
+    stats.rows++;
+    
+    const company = (entry.company_name || '').trim();
+    const role = (entry.title || '').trim();
+    const closed = entry.active === false;
+    
+    if (!company || !role || (!closed && !entry.url)) {
+      stats.skipped++;
+      continue;
+    }
+    
+    const locationLines = (entry.locations || []).map(location => location.trim()).filter(Boolean);
+    const postedAt = entry.date_posted ? new Date(entry.date_posted * 1000) : null;
+    const { category, emoji } = mapCategory(entry.category);
+    
+    const listing = {
+      company,
+      role,
+      location: locationLines.join(', ') || 'Location not listed',
+      locations: parseLocations(locationLines),
+      applyLink: entry.url || null,
+      age: postedAt ? formatAge(postedAt) : '',
+      postedAt: postedAt ? postedAt.toISOString() : null,
+      terms: entry.terms || [],
+      externalId: entry.id || null,
+      closed,
+      flags: mapFlags(entry),
+      category,
+      emoji,
+      sourceId: source.id,
+      sourceName: source.name,
+    };
+    
+    // Same apply-link based ID as README listings, so switching a source's type keeps its history
+    listing.id = createListingId(source.id, listing);
+    listings.push(listing);
+    
+    if (!stats.sectionsFound.includes(category)) {
+      stats.sectionsFound.push(category);
+    }
+  }
+  
+  listings.sort((a, b) => (b.postedAt || '').localeCompare(a.postedAt || ''));
+  
+  console.log(`✅ [${source.id}] Total listings parsed from ${source.file}: ${listings.length} (${listings.filter(l => l.closed).length} closed, ${stats.skipped} of ${stats.rows} skipped)`);
+  return { listings, stats };
+}
+
+/**
+ * "Posted" text for embeds: the exact date when the source gives one, otherwise the README's age
+ */
+export function formatPostedDate(listing) {
+  if (listing.postedAt) {
+    return `<t:${Math.floor(new Date(listing.postedAt).getTime() / 1000)}:D>`;
+  }
+  return `${listing.age} ago`;
+}
+
+/**
+ * Parse age string (e.g., "1d", "2d", "3mo") to days
+ */
+export function parseAgeToDays(ageStr) {
+  if (!ageStr) return Infinity;
+  
+  const age = ageStr.trim().toLowerCase();
+  
+  if (age.includes('mo')) {
+    const months = parseInt(age) || 0;
+    return months * 30;
+  } else if (age.includes('d')) {
+    return parseInt(age) || 0;
+  } else if (age.includes('h')) {
+    return 0; // Less than a day
+  }
+  
+  return Infinity;
+}
+
+// Short names for categories -> text to look for in a listing's category
+const CATEGORY_ALIASES = {
+  'software': 'software engineering',
+  'swe': 'software engineering',
+  'product': 'product management',
+  'pm': 'product management',
+  'data': 'data science',
+  'ds': 'data science',
+  'ai': 'data science',
+  'ml': 'data science',
+  'quant': 'quantitative finance',
+  'finance': 'quantitative finance',
+  'hardware': 'hardware engineering',
+  'hw': 'hardware engineering',
+};
+
+/**
+ * Lowercased text a category query should match, with aliases like "swe" expanded
+ */
+export function resolveCategoryAlias(category) {
+  const lower = category.trim().toLowerCase();
+  return CATEGORY_ALIASES[lower] || lower;
+}
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isDryRun, readDryRunData, writeDryRunData } from './dry-run.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dataDir = path.join(__dirname, '../data');
+
+/**
+ * A JSON object kept in a file under data/, e.g. createJsonStore('alerts.json')
+ * `load()` returns {} until something is saved; a dry run keeps saves in memory (see dry-run.js)
+ * Changes made by concurrent commands or clicks should go through `update()`
+ */
+export function createJsonStore(file) {
+  const filePath = path.join(dataDir, file);
+  
+  // Updates run one at a time, so two changes made at once can't overwrite each other
+  let updateChain = Promise.resolve();
+  
+  async function load() {
+    const pending = readDryRunData(filePath);
+    if (pending !== undefined) {
+      return pending;
+    }
+    
+    try {
+      const content = await fs.readFile(filePath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      console.error(`Error loading ${file}:`, error);
+      return {};
+    }
+  }
+  
+  async function save(data) {
+    if (isDryRun()) {
+      writeDryRunData(filePath, data);
+      return;
+    }
+    
+    try {
+      await fs.mkdir(dataDir, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error(`Error saving ${file}:`, error);
+    }
+  }
+  
+  /**
+   * Load the data, apply `change` to it and save it, after any update already running
+   * Returns what `change` returns
+   */
+  function update(change) {
+    const run = updateChain.then(async () => {
+      const data = await load();
+      const result = change(data);
+      await save(data);
+      return result;
+    });
+    updateChain = run.catch(() => {});
+    return run;
+  }
+  
+  return { load, save, update };
+}
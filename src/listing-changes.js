@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { normalizeApplyUrl } from './listing-id.js';
+import { diffListingFlags } from './listing-flags.js';
+
+/**
+ * Location lines of a listing as written upstream
+ * Catalog entries saved before lines were kept only have the joined string
+ */
+function getLocationLines(listing) {
+  if (Array.isArray(listing.locations) && listing.locations.every(entry => entry.text)) {
+    return listing.locations.map(entry => entry.text);
+  }
+  return listing.location ? [listing.location] : [];
+}
+
+/**
+ * The fields an upstream edit can change, normalized so tracking parameters on the
+ * apply link don't count; the README's age column changes daily, so it's left out
+ */
+function getTrackedFields(listing) {
+  return {
+    company: listing.company,
+    role: listing.role,
+    locations: getLocationLines(listing),
+    applyLink: normalizeApplyUrl(listing.applyLink),
+    terms: listing.terms || [],
+    flags: listing.flags || {},
+  };
+}
+
+/**
+ * Hash of a listing's tracked fields, stored in the catalog to spot edits
+ */
+export function createContentHash(listing) {
+  return crypto.createHash('sha1').update(JSON.stringify(getTrackedFields(listing))).digest('hex').slice(0, 12);
+}
+
+/**
+ * Entries of `after` missing from `before`, as "+item", followed by the removed ones as "-item"
+ */
+function diffLists(before, after) {
+  return [
+    ...after.filter(item => !before.includes(item)).map(item => `+${item}`),
+    ...before.filter(item => !after.includes(item)).map(item => `-${item}`),
+  ];
+}
+
+/**
+ * Field-level changes between two versions of a listing
+ * Returns a list of { field, text }, e.g. { field: 'locations', text: '+Austin, TX' }
+ */
+export function diffListings(before, after) {
+  const previous = getTrackedFields(before);
+  const current = getTrackedFields(after);
+  const changes = [];
+  
+  if (previous.company !== current.company) {
+    changes.push({ field: 'company', text: `Company: ${previous.company} → ${current.company}` });
+  }
+  if (previous.role !== current.role) {
+    changes.push({ field: 'role', text: `Role: ${previous.role} → ${current.role}` });
+  }
+  for (const text of diffLists(previous.locations, current.locations)) {
+    changes.push({ field: 'locations', text });
+  }
+  if (previous.applyLink !== current.applyLink) {
+    changes.push({ field: 'applyLink', text: 'New apply link' });
+  }
+  for (const text of diffLists(previous.terms, current.terms)) {
+    changes.push({ field: 'terms', text });
+  }
+  for (const text of diffListingFlags(previous.flags, current.flags)) {
+    changes.push({ field: 'flags', text });
+  }
+  
+  return changes;
+}
+
+/**
+ * One-line summary of a listing's changes, e.g. "+Austin, TX · New apply link"
+ */
+export function formatListingChanges(changes) {
+  return changes.map(change => change.text).join(' · ');
+}
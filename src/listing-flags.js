@@ -0,0 +1,118 @@
+// Emoji markers the upstream tables put next to a role or company
+const FLAGS = [
+  { key: 'noSponsorship', emoji: '🛂', badge: '🛂 No sponsorship' },
+  { key: 'usCitizenship', emoji: '🇺🇸', badge: '🇺🇸 US citizenship required' },
+  { key: 'advancedDegree', emoji: '🎓', badge: '🎓 Advanced degree required' },
+];
+
+// Command options that hide listings with certain flags, and the search query term for each
+const FILTER_OPTIONS = {
+  '--sponsors': { hides: ['noSponsorship', 'usCitizenship'], label: 'offers sponsorship', term: 'sponsors:yes' },
+  '--no-citizenship': { hides: ['usCitizenship'], label: 'no citizenship requirement', term: 'citizenship:no' },
+  '--undergrad': { hides: ['advancedDegree'], label: 'no advanced degree', term: 'undergrad:yes' },
+};
+
+/**
+ * Pull the flag emojis out of a role or company cell
+ * Returns the cleaned text and the flags that were found
+ */
+export function extractListingFlags(text) {
+  const flags = {};
+  let cleaned = text;
+  
+  for (const flag of FLAGS) {
+    if (cleaned.includes(flag.emoji)) {
+      flags[flag.key] = true;
+      cleaned = cleaned.split(flag.emoji).join('');
+    }
+  }
+  
+  return { text: cleaned.replace(/\s+/g, ' ').trim(), flags };
+}
+
+/**
+ * Build the full flags object for a listing, with every flag set to true or false
+ */
+export function createListingFlags(...found) {
+  const flags = {};
+  for (const flag of FLAGS) {
+    flags[flag.key] = found.some(f => f[flag.key]);
+  }
+  return flags;
+}
+
+/**
+ * Badge line for an embed, or an empty string when the listing has no flags
+ */
+export function formatListingBadges(listing) {
+  return FLAGS
+    .filter(flag => listing.flags?.[flag.key])
+    .map(flag => flag.badge)
+    .join(' · ');
+}
+
+/**
+ * Badges a listing gained or lost between two versions, e.g. ["+🛂 No sponsorship"]
+ */
+export function diffListingFlags(before, after) {
+  return FLAGS
+    .filter(flag => Boolean(before?.[flag.key]) !== Boolean(after?.[flag.key]))
+    .map(flag => `${after?.[flag.key] ? '+' : '-'}${flag.badge}`);
+}
+
+/**
+ * The flag filter options (e.g. `--sponsors`) with a short description of each
+ */
+export function listFlagFilters() {
+  return Object.entries(FILTER_OPTIONS).map(([option, { label }]) => ({ option, label }));
+}
+
+/**
+ * Pull flag filter options (e.g. `--sponsors`) out of a command argument string
+ */
+export function extractFlagFilters(args) {
+  const filters = [];
+  const rest = (args || '')
+    .split(/\s+/)
+    .filter(word => {
+      const option = FILTER_OPTIONS[word.toLowerCase()];
+      if (option) {
+        filters.push(word.toLowerCase());
+        return false;
+      }
+      return true;
+    })
+    .join(' ')
+    .trim();
+  
+  return { filters, rest };
+}
+
+/**
+ * Check whether a listing is kept by a flag filter (e.g. `--sponsors`)
+ */
+export function passesFlagFilter(listing, filter) {
+  return !FILTER_OPTIONS[filter].hides.some(key => listing.flags?.[key]);
+}
+
+/**
+ * Drop listings hidden by the given flag filters
+ */
+export function applyFlagFilters(listings, filters) {
+  return listings.filter(listing => filters.every(filter => passesFlagFilter(listing, filter)));
+}
+
+/**
+ * Describe active flag filters for a results embed, e.g. " (offers sponsorship)"
+ */
+export function describeFlagFilters(filters) {
+  if (filters.length === 0) return '';
+  return ` (${filters.map(filter => FILTER_OPTIONS[filter].label).join(', ')})`;
+}
+
+/**
+ * The search query terms for flag filters, e.g. ["sponsors:yes"] for `--sponsors`
+ */
+export function flagFiltersToQueryTerms(filters) {
+  return filters.map(filter => FILTER_OPTIONS[filter].term);
+}
@@ -0,0 +1,133 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { formatListingBadges } from './listing-flags.js';
+import { formatPostedDate } from './json-listings.js';
+
+// Variants per grouped message (the select menu for picking one holds at most 25 options)
+const MAX_VARIANTS = 25;
+
+/**
+ * Check whether a listing (or catalog entry) is closed
+ */
+function isClosed(listing) {
+  return Boolean(listing.closed || listing.closedAt);
+}
+
+/**
+ * Group listings with the same company and role (the same posting across locations or terms),
+ * keeping the order groups first appear in
+ * Set GROUP_LISTINGS=false to post every listing on its own
+ */
+export function groupListings(listings) {
+  if (process.env.GROUP_LISTINGS === 'false') {
+    return listings.map(listing => [listing]);
+  }
+  
+  const groups = new Map();
+  
+  for (const listing of listings) {
+    const key = `${listing.sourceId}|${listing.company}|${listing.role}`.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(listing);
+  }
+  
+  return [...groups.values()].flatMap(group => {
+    const chunks = [];
+    for (let i = 0; i < group.length; i += MAX_VARIANTS) {
+      chunks.push(group.slice(i, i + MAX_VARIANTS));
+    }
+    return chunks;
+  });
+}
+
+/**
+ * Describe one variant of a grouped listing; terms and badges are only repeated per line
+ * when they differ between variants
+ */
+function formatVariant(listing, { showTerms, showBadges }) {
+  const badges = showBadges ? formatListingBadges(listing) : '';
+  const details = [
+    `📍 ${listing.location || 'Location not listed'}`,
+    showTerms && listing.terms?.length ? `🗓️ ${listing.terms.join(', ')}` : null,
+    badges || null,
+  ].filter(Boolean).join(' · ');
+  
+  return isClosed(listing)
+    ? `~~${details}~~ 🔒`
+    : `${details} — [Apply](${listing.applyLink})`;
+}
+
+/**
+ * Build the message for a group of variants: one embed listing every location and apply link,
+ * and "I Applied", "Save for later" and "Not interested" buttons that ask which variant through a select menu
+ * Closed variants are struck through, and the whole message greys out once they all are
+ * Pass a change summary when re-rendering a group that was edited upstream
+ */
+export function createGroupedListingMessage(listings, changeSummary = null) {
+  const [first] = listings;
+  const open = listings.filter(listing => !isClosed(listing));
+  const allClosed = open.length === 0;
+  
+  const badgeSets = new Set(listings.map(formatListingBadges));
+  const termSets = new Set(listings.map(listing => (listing.terms || []).join(', ')));
+  const showBadges = badgeSets.size > 1;
+  const showTerms = termSets.size > 1;
+  const commonBadges = showBadges ? '' : formatListingBadges(first);
+  const commonTerms = showTerms ? '' : (first.terms || []).join(', ');
+  const newest = [...listings].sort((a, b) => (b.postedAt || '').localeCompare(a.postedAt || ''))[0];
+  
+  const variants = listings
+    .map((listing, i) => `**${i + 1}.** ${formatVariant(listing, { showTerms, showBadges })}`)
+    .join('\n');
+  
+  const title = `${first.emoji || '💼'} ${first.company} - ${first.role}`;
+  
+  const embed = new EmbedBuilder()
+    .setTitle((allClosed ? `~~${title}~~` : title).slice(0, 256))
+    .setDescription((
+      (allClosed ? '🔒 **Every variant of this listing has closed.**\n\n' : '') +
+      `**Category:** ${first.category || '💼 General'}\n` +
+      `📍 **${listings.length} variants**${open.length < listings.length ? ` (${open.length} open)` : ''}\n` +
+      (commonBadges ? `${commonBadges}\n` : '') +
+      (commonTerms ? `🗓️ **Term:** ${commonTerms}\n` : '') +
+      `⏰ **Posted:** ${formatPostedDate(newest)}\n` +
+      (changeSummary ? `✏️ **Updated:** ${changeSummary}\n` : '') +
+      `\n${variants}`
+    ).slice(0, 4096))
+    .setColor(allClosed ? 0x99AAB5 : 0x5865F2)
+    .setTimestamp()
+    .setFooter({ text: first.sourceName || 'Summer 2026 Internships' });
+  
+  if (!allClosed) {
+    embed.setURL(open[0].applyLink);
+  }
+  
+  // The message's variants are looked up from the catalog when a button is clicked
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`applyvariant_${first.id}`)
+        .setLabel(allClosed ? 'Closed' : 'I Applied')
+        .setStyle(allClosed ? ButtonStyle.Secondary : ButtonStyle.Success)
+        .setEmoji(allClosed ? '🔒' : '✅')
+        .setDisabled(allClosed)
+    );
+  
+  if (!allClosed) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`savevariant_${first.id}`)
+        .setLabel('Save for later')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('💾'),
+      new ButtonBuilder()
+        .setCustomId(`hidevariant_${first.id}`)
+        .setLabel('Not interested')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🙈')
+    );
+  }
+  
+  return { embeds: [embed], components: [row] };
+}
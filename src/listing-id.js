@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+
+// IDs look like `<source>:u-<hash>` (from the apply URL) or `<source>:c-<hash>` (company and role)
+const STABLE_ID_PATTERN = /^[a-z0-9-]+:[uc]-[0-9a-f]{12}$/;
+
+/**
+ * Short, stable hash used in listing IDs (keeps button custom IDs well under Discord's 100 chars)
+ */
+function shortHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Normalize an apply URL so the same posting always produces the same string
+ * Drops utm_* parameters and anything tagged as coming from Simplify (e.g. ref=Simplify),
+ * the fragment and trailing slashes, and sorts what's left
+ */
+export function normalizeApplyUrl(applyLink) {
+  if (!applyLink) return null;
+  
+  let url;
+  try {
+    url = new URL(applyLink.trim());
+  } catch (error) {
+    return null;
+  }
+  
+  const params = [...url.searchParams.entries()]
+    .filter(([key, value]) => !/^utm_/i.test(key) && value.toLowerCase() !== 'simplify')
+    .sort(([a], [b]) => a.localeCompare(b));
+  
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = url.pathname.replace(/\/+$/, '');
+  const query = new URLSearchParams(params).toString();
+  
+  return `${host}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Create the stable ID for a listing from its normalized apply URL,
+ * falling back to company and role when there's no usable link
+ */
+export function createListingId(sourceId, listing) {
+  const normalizedUrl = normalizeApplyUrl(listing.applyLink);
+  
+  if (normalizedUrl) {
+    return `${sourceId}:u-${shortHash(normalizedUrl)}`;
+  }
+  
+  const key = `${listing.company}|${listing.role}`.toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${sourceId}:c-${shortHash(key)}`;
+}
+
+/**
+ * The old `<source>:company-role-location` ID, used to migrate stored data
+ */
+export function legacyListingId(sourceId, listing) {
+  return `${sourceId}:` + `${listing.company}-${listing.role}-${listing.location}`.replace(/[^a-zA-Z0-9-]/g, '-').toLowerCase();
+}
+
+/**
+ * Check whether an ID predates the URL-based scheme
+ */
+export function isLegacyListingId(listingId) {
+  return !STABLE_ID_PATTERN.test(listingId);
+}
@@ -0,0 +1,154 @@
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('listing-marks.json');
+
+/**
+ * Load listing marks: user id -> { saved: { listingId: savedAt }, hidden: { listingId: hiddenAt } }
+ * Changes go through `store.update`, as save/hide clicks can land together
+ */
+async function loadMarks() {
+  return await store.load();
+}
+
+/**
+ * A user's marks, created empty if they have none yet
+ */
+function getUserMarks(marks, userId) {
+  marks[userId] = { saved: {}, hidden: {}, ...marks[userId] };
+  return marks[userId];
+}
+
+/**
+ * Save a listing for later
+ * Returns false when it was already saved
+ */
+export async function saveListing(userId, listingId) {
+  return await store.update(marks => {
+    const user = getUserMarks(marks, userId);
+    
+    if (user.saved[listingId]) {
+      return false;
+    }
+    
+    user.saved[listingId] = new Date().toISOString();
+    return true;
+  });
+}
+
+/**
+ * Take a listing off the saved list
+ * Returns false when it wasn't saved
+ */
+export async function unsaveListing(userId, listingId) {
+  return await store.update(marks => {
+    const user = getUserMarks(marks, userId);
+    
+    if (!user.saved[listingId]) {
+      return false;
+    }
+    
+    delete user.saved[listingId];
+    return true;
+  });
+}
+
+/**
+ * Hide a listing from the user's results ("Not interested"), which also unsaves it
+ * Returns false when it was already hidden
+ */
+export async function hideListing(userId, listingId) {
+  return await store.update(marks => {
+    const user = getUserMarks(marks, userId);
+    
+    if (user.hidden[listingId]) {
+      return false;
+    }
+    
+    user.hidden[listingId] = new Date().toISOString();
+    delete user.saved[listingId];
+    return true;
+  });
+}
+
+/**
+ * Show a hidden listing again
+ * Returns false when it wasn't hidden
+ */
+export async function unhideListing(userId, listingId) {
+  return await store.update(marks => {
+    const user = getUserMarks(marks, userId);
+    
+    if (!user.hidden[listingId]) {
+      return false;
+    }
+    
+    delete user.hidden[listingId];
+    return true;
+  });
+}
+
+/**
+ * Show every hidden listing again
+ * Returns how many there were
+ */
+export async function clearHiddenListings(userId) {
+  return await store.update(marks => {
+    const user = getUserMarks(marks, userId);
+    const count = Object.keys(user.hidden).length;
+    user.hidden = {};
+    return count;
+  });
+}
+
+/**
+ * IDs of the listings a user saved, most recently saved first
+ */
+export async function getSavedListingIds(userId) {
+  const marks = await loadMarks();
+  
+  return Object.entries(marks[userId]?.saved || {})
+    .sort(([, a], [, b]) => b.localeCompare(a))
+    .map(([listingId]) => listingId);
+}
+
+/**
+ * IDs of the listings a user hid, most recently hidden first
+ */
+export async function getHiddenListingIds(userId) {
+  const marks = await loadMarks();
+  
+  return Object.entries(marks[userId]?.hidden || {})
+    .sort(([, a], [, b]) => b.localeCompare(a))
+    .map(([listingId]) => listingId);
+}
+
+/**
+ * Move marks to new listing IDs, like migrateApplicationIds
+ * `mapId` returns a listing's new ID, or null to keep it
+ */
+export async function migrateListingMarkIds(mapId) {
+  const changed = await store.update(marks => {
+    let count = 0;
+    
+    for (const user of Object.values(marks)) {
+      for (const kind of ['saved', 'hidden']) {
+        const migrated = {};
+        
+        for (const [listingId, at] of Object.entries(user[kind] || {})) {
+          const newId = mapId(listingId) || listingId;
+          if (newId !== listingId) count++;
+          // Two old IDs can map to the same listing; the first mark wins
+          migrated[newId] ??= at;
+        }
+        
+        user[kind] = migrated;
+      }
+    }
+    
+    return count;
+  });
+  
+  if (changed > 0) {
+    console.log(`🔀 Migrated ${changed} listing mark(s) to new listing IDs`);
+  }
+}
@@ -0,0 +1,247 @@
+// Offline alias table for places people (and the upstream tables) abbreviate
+const CITY_ALIASES = {
+  'sf': { city: 'San Francisco', state: 'CA' },
+  'san fran': { city: 'San Francisco', state: 'CA' },
+  'nyc': { city: 'New York', state: 'NY' },
+  'new york': { city: 'New York', state: 'NY' },
+  'new york city': { city: 'New York', state: 'NY' },
+  'manhattan': { city: 'New York', state: 'NY' },
+  'brooklyn': { city: 'New York', state: 'NY' },
+  'la': { city: 'Los Angeles', state: 'CA' },
+  'dc': { city: 'Washington', state: 'DC' },
+  'washington dc': { city: 'Washington', state: 'DC' },
+  'washington d.c.': { city: 'Washington', state: 'DC' },
+  'philly': { city: 'Philadelphia', state: 'PA' },
+  'atl': { city: 'Atlanta', state: 'GA' },
+  'chi': { city: 'Chicago', state: 'IL' },
+  'nola': { city: 'New Orleans', state: 'LA' },
+  'slc': { city: 'Salt Lake City', state: 'UT' },
+  'rtp': { city: 'Research Triangle Park', state: 'NC' },
+};
+
+// Areas that span several cities, for `?near`
+const METRO_AREAS = {
+  'bay area': ['San Francisco', 'San Jose', 'Oakland', 'Berkeley', 'Palo Alto', 'Mountain View', 'Sunnyvale', 'Menlo Park', 'Santa Clara', 'Redwood City', 'Cupertino', 'San Mateo', 'Foster City', 'Fremont', 'South San Francisco', 'San Bruno', 'Milpitas'],
+  'silicon valley': ['San Jose', 'Palo Alto', 'Mountain View', 'Sunnyvale', 'Menlo Park', 'Santa Clara', 'Redwood City', 'Cupertino', 'Milpitas'],
+  'seattle area': ['Seattle', 'Bellevue', 'Redmond', 'Kirkland', 'Bothell'],
+  'tri-state': ['New York', 'Jersey City', 'Hoboken', 'Newark', 'Stamford'],
+};
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico',
+};
+
+const CANADIAN_PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+  NS: 'Nova Scotia', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan',
+};
+
+const COUNTRY_ALIASES = {
+  'us': 'United States', 'usa': 'United States', 'u.s.': 'United States', 'u.s.a.': 'United States',
+  'united states': 'United States', 'united states of america': 'United States',
+  'uk': 'United Kingdom', 'u.k.': 'United Kingdom', 'united kingdom': 'United Kingdom',
+  'england': 'United Kingdom', 'scotland': 'United Kingdom', 'great britain': 'United Kingdom',
+  'canada': 'Canada', 'can': 'Canada',
+  'uae': 'United Arab Emirates', 'united arab emirates': 'United Arab Emirates',
+  'germany': 'Germany', 'france': 'France', 'ireland': 'Ireland', 'netherlands': 'Netherlands',
+  'switzerland': 'Switzerland', 'spain': 'Spain', 'poland': 'Poland', 'india': 'India',
+  'singapore': 'Singapore', 'japan': 'Japan', 'china': 'China', 'hong kong': 'Hong Kong',
+  'australia': 'Australia', 'israel': 'Israel', 'mexico': 'Mexico', 'brazil': 'Brazil',
+};
+
+/**
+ * Look up a US state or Canadian province by code or full name
+ * Returns { state, country } with the two-letter code, or null
+ */
+function lookupState(text) {
+  const upper = text.toUpperCase();
+  const lower = text.toLowerCase();
+  
+  if (US_STATES[upper]) return { state: upper, country: 'United States' };
+  if (CANADIAN_PROVINCES[upper]) return { state: upper, country: 'Canada' };
+  
+  for (const [code, name] of Object.entries(US_STATES)) {
+    if (name.toLowerCase() === lower) return { state: code, country: 'United States' };
+  }
+  for (const [code, name] of Object.entries(CANADIAN_PROVINCES)) {
+    if (name.toLowerCase() === lower) return { state: code, country: 'Canada' };
+  }
+  
+  return null;
+}
+
+/**
+ * Look up a country by name or abbreviation
+ */
+function lookupCountry(text) {
+  return COUNTRY_ALIASES[text.toLowerCase()] || null;
+}
+
+/**
+ * Parse one location line (e.g. "San Francisco, CA", "NYC", "Remote in USA", "Hybrid - Seattle, WA")
+ * into { text, city, state, country, remote, hybrid }, keeping the line as written in `text`
+ */
+export function parseLocation(text) {
+  let rest = (text || '').trim();
+  const entry = { text: rest, city: null, state: null, country: null, remote: false, hybrid: false };
+  
+  if (/\bremote\b/i.test(rest)) {
+    entry.remote = true;
+    rest = rest.replace(/\bremote\b(\s+(in|within|-|–))?/ig, ' ');
+  }
+  if (/\bhybrid\b/i.test(rest)) {
+    entry.hybrid = true;
+    rest = rest.replace(/\bhybrid\b(\s+(in|-|–))?/ig, ' ');
+  }
+  
+  // Leftover separators and brackets, e.g. "Remote (USA)" or "Hybrid - Seattle, WA"
+  rest = rest.replace(/[()]/g, ' ').replace(/^[\s,\-–:]+|[\s,\-–:]+$/g, '').replace(/\s+/g, ' ');
+  
+  if (!rest) {
+    return entry;
+  }
+  
+  const parts = rest.split(',').map(part => part.trim()).filter(Boolean);
+  const alias = CITY_ALIASES[parts[0].toLowerCase()];
+  
+  if (parts.length === 1) {
+    const state = lookupState(parts[0]);
+    const country = lookupCountry(parts[0]);
+    
+    if (alias) {
+      Object.assign(entry, alias, { country: 'United States' });
+    } else if (country) {
+      entry.country = country;
+    } else if (state && parts[0].length > 2) {
+      // Bare two-letter words are more often city abbreviations than states
+      Object.assign(entry, state);
+    } else {
+      entry.city = parts[0];
+    }
+    return entry;
+  }
+  
+  entry.city = alias ? alias.city : parts[0];
+  
+  for (const part of parts.slice(1)) {
+    const state = lookupState(part);
+    const country = lookupCountry(part);
+    
+    if (state && !entry.state) {
+      entry.state = state.state;
+      entry.country = entry.country || state.country;
+    } else if (country) {
+      entry.country = country;
+    } else if (!entry.state) {
+      entry.state = part;
+    }
+  }
+  
+  return entry;
+}
+
+/**
+ * Parse the location lines of a listing into a list of entries
+ */
+export function parseLocations(lines) {
+  return lines.map(parseLocation);
+}
+
+/**
+ * Structured locations of a listing; catalog entries saved before locations were parsed
+ * only have the joined string, so fall back to splitting that
+ */
+export function getListingLocations(listing) {
+  if (Array.isArray(listing.locations)) {
+    return listing.locations;
+  }
+  
+  // Re-split "City, ST, City, ST" on the boundary after each state code
+  const lines = (listing.location || '')
+    .split(/(?<=,\s*[A-Z]{2}),\s*|;\s*/)
+    .filter(line => line.trim().length > 0);
+  
+  return parseLocations(lines);
+}
+
+/**
+ * Check whether a listing can be done remotely
+ */
+export function isRemoteListing(listing) {
+  return getListingLocations(listing).some(entry => entry.remote);
+}
+
+/**
+ * Region a location counts towards in ?stats: the US state or Canadian province,
+ * otherwise the country, or "Remote" for remote roles with no city
+ */
+export function getLocationRegion(entry) {
+  if (entry.remote && !entry.city) {
+    return '🌐 Remote';
+  }
+  if (entry.country === 'United States' && US_STATES[entry.state]) {
+    return US_STATES[entry.state];
+  }
+  if (entry.country === 'Canada' && CANADIAN_PROVINCES[entry.state]) {
+    return `${CANADIAN_PROVINCES[entry.state]}, Canada`;
+  }
+  return entry.country || entry.state || 'Other';
+}
+
+/**
+ * Build a matcher for a `?near` query (a city, alias, metro area, state or country)
+ * Returns { label, matches(entry) }, or null for an empty query
+ */
+export function resolvePlace(query) {
+  const text = (query || '').trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  
+  const lower = text.toLowerCase();
+  const sameCity = (a, b) => (a || '').toLowerCase() === b.toLowerCase();
+  
+  if (METRO_AREAS[lower]) {
+    const cities = METRO_AREAS[lower];
+    return {
+      label: text.replace(/\b\w/g, c => c.toUpperCase()),
+      matches: entry => !!entry.city && cities.some(city => sameCity(entry.city, city)),
+    };
+  }
+  
+  const alias = CITY_ALIASES[lower];
+  if (alias) {
+    return {
+      label: `${alias.city}, ${alias.state}`,
+      matches: entry => sameCity(entry.city, alias.city) && (!entry.state || entry.state === alias.state),
+    };
+  }
+  
+  const state = lookupState(text);
+  if (state) {
+    const names = { ...US_STATES, ...CANADIAN_PROVINCES };
+    return {
+      label: names[state.state],
+      matches: entry => entry.state === state.state && entry.country === state.country,
+    };
+  }
+  
+  const country = lookupCountry(text);
+  if (country) {
+    return {
+      label: country,
+      matches: entry => entry.country === country,
+    };
+  }
+  
+  return {
+    label: text,
+    matches: entry => !!entry.city && entry.city.toLowerCase().includes(lower),
+  };
+}
@@ -0,0 +1,176 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+import { formatListingBadges } from './listing-flags.js';
+import { formatPostedDate } from './json-listings.js';
+
+// Results per page (one "I Applied" button each, and an action row holds at most 5)
+const PAGE_SIZE = 5;
+
+// Open result browsers by session id; they only live in memory, so they expire on restart too
+const sessions = new Map();
+let sessionCount = 0;
+
+/**
+ * How long a browser stays usable after its last page change (BROWSER_TIMEOUT_MINUTES, default 10)
+ */
+function getBrowserTimeout() {
+  return (parseFloat(process.env.BROWSER_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+}
+
+/**
+ * Describe one result on a page, with why it matched when there's a reason
+ */
+function formatResult(listing, number, reason) {
+  const badges = formatListingBadges(listing);
+  
+  return `**${number}.** ${listing.emoji || '💼'} [${listing.company} - ${listing.role}](${listing.applyLink})\n` +
+    `📍 ${listing.location || 'Location not listed'} · ⏰ ${formatPostedDate(listing)}` +
+    (badges ? `\n${badges}` : '') +
+    (reason ? `\n🔎 ${reason}` : '');
+}
+
+/**
+ * Build the menu to save or hide any of some numbered listings (at most 12, two options each)
+ * Values are the `save_`/`hide_` button custom IDs, handled the same way
+ */
+export function createResultActionRow(listings, key, firstNumber) {
+  return new ActionRowBuilder()
+    .addComponents(new StringSelectMenuBuilder()
+      .setCustomId(`resultaction_${key}`)
+      .setPlaceholder('💾 Save or 🙈 hide a listing')
+      .addOptions(listings.flatMap((listing, i) => [
+        { label: `Save #${firstNumber + i} for later`, description: `${listing.company} - ${listing.role}`.slice(0, 100), value: `save_${listing.id}`, emoji: '💾' },
+        { label: `Not interested in #${firstNumber + i}`, description: `${listing.company} - ${listing.role}`.slice(0, 100), value: `hide_${listing.id}`, emoji: '🙈' },
+      ])));
+}
+
+/**
+ * Build the message for the browser's current page: the results, an "I Applied" button
+ * for each, a menu to save or hide them, and Prev/Next buttons around a page indicator
+ */
+function createPage(session) {
+  const pageCount = Math.ceil(session.listings.length / PAGE_SIZE);
+  const start = session.page * PAGE_SIZE;
+  const pageListings = session.listings.slice(start, start + PAGE_SIZE);
+  
+  const embed = new EmbedBuilder()
+    .setTitle(session.title)
+    .setDescription(`${session.description}\n\n${pageListings.map((listing, i) => formatResult(listing, start + i + 1, session.reasons.get(listing.id))).join('\n\n')}`.slice(0, 4096))
+    .setColor(0x5865F2)
+    .setTimestamp()
+    .setFooter({ text: `Page ${session.page + 1}/${pageCount} · ${session.listings.length} result${session.listings.length > 1 ? 's' : ''}` });
+  
+  // Handled by the regular `apply_` button routing
+  const applyRow = new ActionRowBuilder()
+    .addComponents(pageListings.map((listing, i) =>
+      new ButtonBuilder()
+        .setCustomId(`apply_${listing.id}`)
+        .setLabel(`I Applied #${start + i + 1}`)
+        .setStyle(ButtonStyle.Success)
+    ));
+  
+  const actionRow = createResultActionRow(pageListings, session.id, start + 1);
+  
+  if (pageCount <= 1) {
+    return { embeds: [embed], components: [applyRow, actionRow] };
+  }
+  
+  const navRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`browse_prev_${session.id}`)
+        .setLabel('Prev')
+        .setEmoji('◀️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(session.expired || session.page === 0),
+      new ButtonBuilder()
+        .setCustomId(`browse_page_${session.id}`)
+        .setLabel(session.expired ? 'Expired' : `${session.page + 1} / ${pageCount}`)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(true),
+      new ButtonBuilder()
+        .setCustomId(`browse_next_${session.id}`)
+        .setLabel('Next')
+        .setEmoji('▶️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(session.expired || session.page === pageCount - 1)
+    );
+  
+  return { embeds: [embed], components: [applyRow, actionRow, navRow] };
+}
+
+/**
+ * (Re)start a browser's expiry timer; once it runs out the Prev/Next buttons are disabled
+ */
+function scheduleExpiry(session) {
+  clearTimeout(session.timer);
+  session.timer = setTimeout(async () => {
+    sessions.delete(session.id);
+    session.expired = true;
+    
+    try {
+      await session.message.edit(createPage(session));
+    } catch (error) {
+      console.error(`Error expiring result browser ${session.id}:`, error.message);
+    }
+  }, getBrowserTimeout());
+}
+
+/**
+ * Reply to a command with its results as one paginated message, owned by the user who ran it
+ * `description` is shown above the results on every page, and `reasons` (listing id -> text)
+ * says why a result matched
+ */
+export async function sendResultBrowser(message, { title, description, listings, reasons = new Map() }) {
+  const session = {
+    id: `${Date.now().toString(36)}${(++sessionCount).toString(36)}`,
+    userId: message.author.id,
+    title,
+    description,
+    listings,
+    reasons,
+    page: 0,
+    expired: false,
+    message: null,
+    timer: null,
+  };
+  
+  const sent = await message.reply(createPage(session));
+  
+  if (listings.length > PAGE_SIZE) {
+    session.message = sent;
+    sessions.set(session.id, session);
+    scheduleExpiry(session);
+  }
+  
+  return sent;
+}
+
+/**
+ * Handle the Prev/Next buttons of a result browser
+ */
+export async function handleBrowserButton(interaction) {
+  const [, action, sessionId] = interaction.customId.split('_');
+  const session = sessions.get(sessionId);
+  
+  if (!session) {
+    await interaction.reply({
+      content: '⌛ These results have expired. Run the command again to browse them.',
+      ephemeral: true,
+    });
+    return;
+  }
+  
+  if (interaction.user.id !== session.userId) {
+    await interaction.reply({
+      content: `Only <@${session.userId}> can page through these results. Run the command yourself to browse them.`,
+      ephemeral: true,
+    });
+    return;
+  }
+  
+  const pageCount = Math.ceil(session.listings.length / PAGE_SIZE);
+  session.page = Math.min(pageCount - 1, Math.max(0, session.page + (action === 'next' ? 1 : -1)));
+  scheduleExpiry(session);
+  
+  await interaction.update(createPage(session));
+}
@@ -0,0 +1,355 @@
+import { parseAgeToDays, resolveCategoryAlias } from './json-listings.js';
+import { getListingLocations, isRemoteListing, resolvePlace } from './locations.js';
+import { passesFlagFilter } from './listing-flags.js';
+import { scoreSearchTerm } from './fuzzy-search.js';
+
+// Boolean operators, matched case-insensitively when written as bare words
+const OPERATORS = { or: 'or', and: 'and', not: 'not' };
+
+// Age units for `age:` -> days
+const AGE_UNITS = { h: 1 / 24, d: 1, w: 7, mo: 30 };
+
+/**
+ * Match a yes/no value, e.g. for `sponsors:yes`
+ * Returns true, false, or null when it's neither
+ */
+function parseYesNo(value) {
+  const lower = value.toLowerCase();
+  if (['yes', 'y', 'true'].includes(lower)) return true;
+  if (['no', 'n', 'false'].includes(lower)) return false;
+  return null;
+}
+
+/**
+ * Build a matcher for a yes/no field from a check for "yes"
+ */
+function yesNoField(example, check) {
+  return {
+    example,
+    compile: (value, token) => {
+      const wanted = parseYesNo(value);
+      if (wanted === null) {
+        throw createQueryError(`\`${token.field}:\` takes yes or no, e.g. \`${example}\``, token);
+      }
+      return (listing, context) => check(listing, context) === wanted;
+    },
+  };
+}
+
+// Listing fields a plain word is searched in
+const TEXT_FIELDS = ['company', 'role', 'location', 'category'];
+
+/**
+ * Fields a search term can target, as `field:value`
+ * Fields with `text` are fuzzy text searches that count towards ranking, the rest only filter
+ */
+const FIELDS = {
+  company: { example: 'company:stripe', text: ['company'] },
+  role: { example: 'role:"backend"', text: ['role'] },
+  loc: {
+    example: 'loc:remote',
+    compile: value => {
+      if (value.toLowerCase() === 'remote') {
+        return isRemoteListing;
+      }
+      
+      // Places `?near` knows (NYC, bay area, WA...), falling back to the location text
+      const place = resolvePlace(value);
+      const lower = value.toLowerCase();
+      return listing =>
+        getListingLocations(listing).some(place.matches) ||
+        (listing.location || '').toLowerCase().includes(lower);
+    },
+  },
+  cat: {
+    example: 'cat:swe',
+    compile: value => {
+      const category = resolveCategoryAlias(value);
+      return listing => (listing.category || '').toLowerCase().includes(category);
+    },
+  },
+  source: {
+    example: 'source:newgrad',
+    compile: value => {
+      const lower = value.toLowerCase();
+      return listing => listing.sourceId === lower;
+    },
+  },
+  term: {
+    example: 'term:fall',
+    compile: value => {
+      const lower = value.toLowerCase();
+      return listing => (listing.terms || []).some(term => term.toLowerCase().includes(lower));
+    },
+  },
+  age: {
+    example: 'age:<3d',
+    compile: (value, token) => {
+      const match = value.toLowerCase().match(/^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(h|d|w|mo)?$/);
+      if (!match) {
+        throw createQueryError('Ages look like `age:<3d`, `age:>2w` or `age:<=1mo` (units: h, d, w, mo)', token);
+      }
+      
+      // A bare age ("age:3d") means posted within that long
+      const [, comparator = '<=', amount, unit = 'd'] = match;
+      const limit = parseFloat(amount) * AGE_UNITS[unit];
+      const compare = {
+        '<': days => days < limit,
+        '<=': days => days <= limit,
+        '>': days => days > limit,
+        '>=': days => days >= limit,
+        '=': days => days === limit,
+      }[comparator];
+      
+      // Listings without an age never match either way
+      return listing => {
+        const days = parseAgeToDays(listing.age);
+        return Number.isFinite(days) && compare(days);
+      };
+    },
+  },
+  applied: yesNoField('applied:no', (listing, context) => context.appliedIds.has(listing.id)),
+  sponsors: yesNoField('sponsors:yes', listing => passesFlagFilter(listing, '--sponsors')),
+  citizenship: yesNoField('citizenship:no', listing => !passesFlagFilter(listing, '--no-citizenship')),
+  undergrad: yesNoField('undergrad:yes', listing => passesFlagFilter(listing, '--undergrad')),
+};
+
+// Other names accepted for fields
+const FIELD_ALIASES = {
+  co: 'company',
+  title: 'role',
+  location: 'loc',
+  category: 'cat',
+  season: 'term',
+};
+
+/**
+ * Create an error that points at the token it's about
+ */
+function createQueryError(message, token) {
+  const error = new Error(message);
+  error.start = token.start;
+  error.end = token.end;
+  return error;
+}
+
+/**
+ * Split a query into terms (`word`, `"a phrase"`, `field:value`, `field:"a phrase"`),
+ * parentheses and `-` negations, keeping where each one starts and ends
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < query.length) {
+    const start = i;
+    const char = query[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, start, end: ++i });
+      continue;
+    }
+    
+    if (char === '-' && query[i + 1] && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'not', start, end: ++i });
+      continue;
+    }
+    
+    const fieldMatch = query.slice(i).match(/^([a-z]+):/i);
+    const field = fieldMatch ? fieldMatch[1].toLowerCase() : null;
+    if (fieldMatch) {
+      i += fieldMatch[0].length;
+    }
+    
+    let value;
+    let quoted = false;
+    
+    if (query[i] === '"') {
+      const close = query.indexOf('"', i + 1);
+      if (close === -1) {
+        throw createQueryError('This quote is never closed', { start: i, end: query.length });
+      }
+      value = query.slice(i + 1, close);
+      quoted = true;
+      i = close + 1;
+    } else {
+      value = query.slice(i).match(/^[^\s()"]*/)[0];
+      i += value.length;
+    }
+    
+    const operator = !field && !quoted && OPERATORS[value.toLowerCase()];
+    tokens.push(operator
+      ? { type: operator, value, start, end: i }
+      : { type: 'term', field, value, quoted, start, end: i });
+  }
+  
+  return tokens;
+}
+
+/**
+ * Matcher for a fuzzy text search term, returned with the term so it can rank results
+ */
+function compileTextTerm(term) {
+  return { matches: listing => scoreSearchTerm(listing, term) !== null, term };
+}
+
+/**
+ * Turn one term into { matches, term }, where `term` is set for text searches
+ * A bare word or phrase matches company, role, location or category; the bare word
+ * `applied` means listings you've applied to (quote it to search for the word)
+ */
+function compileTerm(token) {
+  if (!token.field) {
+    if (!token.value.trim()) {
+      throw createQueryError('Empty quotes', token);
+    }
+    if (!token.quoted && token.value.toLowerCase() === 'applied') {
+      return { matches: (listing, context) => context.appliedIds.has(listing.id) };
+    }
+    
+    return compileTextTerm({ value: token.value, quoted: token.quoted, fields: TEXT_FIELDS });
+  }
+  
+  const name = FIELD_ALIASES[token.field] || token.field;
+  const field = FIELDS[name];
+  
+  if (!field) {
+    throw createQueryError(
+      `Unknown field \`${token.field}:\`. Fields: ${Object.keys(FIELDS).map(f => `\`${f}:\``).join(', ')}`,
+      token
+    );
+  }
+  if (!token.value.trim()) {
+    throw createQueryError(`\`${token.field}:\` needs a value, e.g. \`${field.example}\``, token);
+  }
+  
+  if (field.text) {
+    return compileTextTerm({ value: token.value.trim(), quoted: token.quoted, fields: field.text });
+  }
+  return { matches: field.compile(token.value.trim(), token) };
+}
+
+/**
+ * Recursive descent over the tokens: OR binds loosest, then AND (written or implied
+ * between terms), then `-`/NOT
+ */
+function createParser(tokens, query) {
+  let position = 0;
+  let negations = 0;
+  
+  // Text terms that count towards ranking (excluded ones don't)
+  const terms = [];
+  
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const startsTerm = token => !!token && ['term', 'not', '('].includes(token.type);
+  
+  const expectTerm = (operator, message) => {
+    if (!startsTerm(peek())) {
+      throw createQueryError(message, operator);
+    }
+  };
+  
+  function parseOr() {
+    const matchers = [parseAnd()];
+    while (peek()?.type === 'or') {
+      expectTerm(next(), '`OR` needs a search term on both sides');
+      matchers.push(parseAnd());
+    }
+    return matchers.length === 1
+      ? matchers[0]
+      : (listing, context) => matchers.some(matches => matches(listing, context));
+  }
+  
+  function parseAnd() {
+    const matchers = [parseNot()];
+    while (peek() && !['or', ')'].includes(peek().type)) {
+      if (peek().type === 'and') {
+        expectTerm(next(), '`AND` needs a search term on both sides');
+      }
+      matchers.push(parseNot());
+    }
+    return matchers.length === 1
+      ? matchers[0]
+      : (listing, context) => matchers.every(matches => matches(listing, context));
+  }
+  
+  function parseNot() {
+    if (peek()?.type === 'not') {
+      expectTerm(next(), 'Nothing to exclude after this');
+      negations++;
+      const matches = parseNot();
+      negations--;
+      return (listing, context) => !matches(listing, context);
+    }
+    return parseTerm();
+  }
+  
+  function parseTerm() {
+    const token = next();
+    
+    if (!token) {
+      throw createQueryError('The search ends too early', { start: query.length, end: query.length + 1 });
+    }
+    if (token.type === '(') {
+      if (peek()?.type === ')') {
+        throw createQueryError('Empty parentheses', { start: token.start, end: peek().end });
+      }
+      const matches = parseOr();
+      if (next()?.type !== ')') {
+        throw createQueryError('This parenthesis is never closed', token);
+      }
+      return matches;
+    }
+    if (token.type === ')') {
+      throw createQueryError('This parenthesis was never opened', token);
+    }
+    if (token.type === 'or' || token.type === 'and') {
+      throw createQueryError(`\`${token.type.toUpperCase()}\` needs a search term on both sides`, token);
+    }
+    
+    const { matches, term } = compileTerm(token);
+    if (term && negations % 2 === 0) {
+      terms.push(term);
+    }
+    return matches;
+  }
+  
+  return {
+    parse: () => {
+      const matches = parseOr();
+      if (peek()) {
+        throw createQueryError('This parenthesis was never opened', peek());
+      }
+      return { matches, terms };
+    },
+  };
+}
+
+/**
+ * Parse a `?search` query like `company:stripe role:"backend" loc:remote age:<3d -applied`
+ * Returns { matches(listing, context), terms } where context is { appliedIds: Set } and
+ * `terms` are the text terms to rank results by (see rankListings),
+ * or { error: { message, start, end } } pointing at the part of the query that's wrong
+ */
+export function parseSearchQuery(query) {
+  try {
+    return createParser(tokenize(query), query).parse();
+  } catch (error) {
+    if (error.start === undefined) throw error;
+    return { error: { message: error.message, start: error.start, end: error.end } };
+  }
+}
+
+/**
+ * Show a query error with the bad part underlined, for a Discord reply
+ */
+export function formatQueryError(query, error) {
+  const underline = ' '.repeat(error.start) + '^'.repeat(Math.max(1, error.end - error.start));
+  return `❌ ${error.message}\n\`\`\`\n${query}\n${underline}\n\`\`\``;
+}
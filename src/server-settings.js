@@ -0,0 +1,50 @@
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('server-settings.json');
+
+// On/off settings `?config` can change, with the env variable that sets the default for every server
+export const SERVER_SETTINGS = {
+  broadcast: {
+    description: 'Post an "Application Recorded!" message in the channel for every "I Applied" click',
+    env: 'APPLY_BROADCAST',
+  },
+  names: {
+    description: 'List who applied under the applicant count on each listing',
+    env: 'SHOW_APPLICANT_NAMES',
+  },
+};
+
+/**
+ * Load server settings: guild id -> { broadcast, names }
+ */
+async function loadSettings() {
+  return await store.load();
+}
+
+/**
+ * Save server settings
+ */
+async function saveSettings(settings) {
+  await store.save(settings);
+}
+
+/**
+ * Get a server's settings, falling back to the env defaults for anything it hasn't set
+ * (and for DMs, which have no server)
+ */
+export async function getServerSettings(guildId) {
+  const saved = guildId ? (await loadSettings())[guildId] : null;
+  
+  return Object.fromEntries(Object.entries(SERVER_SETTINGS).map(([name, setting]) =>
+    [name, saved?.[name] ?? process.env[setting.env] === 'true']
+  ));
+}
+
+/**
+ * Turn one of a server's settings on or off
+ */
+export async function setServerSetting(guildId, name, value) {
+  const settings = await loadSettings();
+  settings[guildId] = { ...settings[guildId], [name]: value };
+  await saveSettings(settings);
+}
@@ -0,0 +1,409 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { handleMessageCommand, LEADERBOARD_TYPES } from './commands.js';
+import { getSources } from './sources.js';
+import { getCatalogListings, getCatalogEntries } from './catalog.js';
+import { listFlagFilters } from './listing-flags.js';
+import { loadTeams } from './database.js';
+import { MAX_DAILY_CAP } from './alerts.js';
+import { SERVER_SETTINGS } from './server-settings.js';
+import { EXPORT_FORMATS } from './application-export.js';
+import { getUserApplications, listStatusFilters, APPLICATION_STATUSES, MAX_NOTE_LENGTH } from './applications.js';
+
+/**
+ * Add the boolean listing filters (`sponsors`, `no-citizenship`, `undergrad`) to a command
+ */
+function addFilterOptions(builder) {
+  for (const { option, label } of listFlagFilters()) {
+    builder.addBooleanOption(o => o.setName(option.replace(/^--/, '')).setDescription(`Only show roles that match: ${label}`));
+  }
+  return builder;
+}
+
+/**
+ * Add the `source` option, autocompleted from the configured sources
+ */
+function addSourceOption(builder) {
+  return builder.addStringOption(o => o.setName('source').setDescription('Only show listings from this source').setAutocomplete(true));
+}
+
+/**
+ * The `--` options for the filters set on a slash command
+ */
+function getFilterArgs(options) {
+  return listFlagFilters()
+    .filter(({ option }) => options.getBoolean(option.replace(/^--/, '')))
+    .map(({ option }) => option);
+}
+
+/**
+ * Quote an argument with spaces so the `?` handler reads it as one
+ */
+function quoteArgument(value) {
+  return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Build a `?` command line from its parts, skipping unset options
+ */
+function toCommandLine(...parts) {
+  return `?${parts.flat().filter(part => part !== null && part !== undefined && part !== '').join(' ')}`;
+}
+
+/**
+ * Slash commands, each with the `?` command it runs
+ * Discord validates the typed options, then the `?` handler does the rest,
+ * so both forms always behave the same
+ */
+const COMMANDS = [
+  {
+    builder: new SlashCommandBuilder().setName('today').setDescription('Show internships posted today'),
+    toCommandLine: () => toCommandLine('today'),
+  },
+  {
+    builder: addFilterOptions(
+      new SlashCommandBuilder()
+        .setName('recent')
+        .setDescription('Show recent internships')
+        .addIntegerOption(o => o.setName('days').setDescription('How many days back to look (default 7)').setMinValue(1).setMaxValue(90))
+    ),
+    toCommandLine: options => toCommandLine('recent', options.getInteger('days'), getFilterArgs(options)),
+  },
+  {
+    builder: addFilterOptions(addSourceOption(
+      new SlashCommandBuilder()
+        .setName('search')
+        .setDescription('Search internships by company, role, location or category')
+        .addStringOption(o => o.setName('query').setDescription('Search terms, e.g. company:stripe loc:remote age:<3d -applied').setRequired(true).setAutocomplete(true))
+    )),
+    toCommandLine: options => toCommandLine(
+      'search',
+      options.getString('query'),
+      options.getString('source') && `--source ${options.getString('source')}`,
+      getFilterArgs(options)
+    ),
+  },
+  {
+    builder: addFilterOptions(
+      new SlashCommandBuilder()
+        .setName('category')
+        .setDescription('Show internships in a category')
+        .addStringOption(o => o.setName('category').setDescription('Category').setRequired(true).setAutocomplete(true))
+    ),
+    toCommandLine: options => toCommandLine('category', options.getString('category'), getFilterArgs(options)),
+  },
+  {
+    builder: addFilterOptions(addSourceOption(
+      new SlashCommandBuilder()
+        .setName('near')
+        .setDescription('Show internships in a city, state or country')
+        .addStringOption(o => o.setName('place').setDescription('e.g. NYC, bay area, WA, canada').setRequired(true))
+    )),
+    toCommandLine: options => toCommandLine(
+      'near',
+      options.getString('place'),
+      options.getString('source') && `--source ${options.getString('source')}`,
+      getFilterArgs(options)
+    ),
+  },
+  {
+    builder: addFilterOptions(addSourceOption(
+      new SlashCommandBuilder().setName('remote').setDescription('Show remote internships')
+    )),
+    toCommandLine: options => toCommandLine(
+      'remote',
+      options.getString('source') && `--source ${options.getString('source')}`,
+      getFilterArgs(options)
+    ),
+  },
+  {
+    // `/stats` is taken by the bot statistics
+    builder: addSourceOption(
+      new SlashCommandBuilder().setName('internship-stats').setDescription('Show internship statistics')
+    ),
+    toCommandLine: options => toCommandLine('stats', options.getString('source')),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('myapplications')
+      .setDescription('Show the internships you marked as applied')
+      .addStringOption(o => o
+        .setName('status')
+        .setDescription('Only show applications at this stage')
+        .addChoices(...listStatusFilters().map(name => ({ name, value: name })))),
+    toCommandLine: options => toCommandLine('myapplications', options.getString('status') && `--status ${options.getString('status')}`),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('export')
+      .setDescription('DM yourself a file of your data')
+      .addSubcommand(sub => sub
+        .setName('applications')
+        .setDescription('Your applications as a spreadsheet (CSV), JSON or calendar (ICS)')
+        .addStringOption(o => o
+          .setName('format')
+          .setDescription('File format (default: csv)')
+          .addChoices(...EXPORT_FORMATS.map(format => ({ name: format, value: format }))))),
+    toCommandLine: options => toCommandLine('export', options.getSubcommand(), options.getString('format')),
+  },
+  {
+    builder: new SlashCommandBuilder().setName('saved').setDescription('Show the internships you saved for later'),
+    toCommandLine: () => toCommandLine('saved'),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('hidden')
+      .setDescription('Show the internships you marked "Not interested"')
+      .addBooleanOption(o => o.setName('clear').setDescription('Show them all in your results again')),
+    toCommandLine: options => toCommandLine('hidden', options.getBoolean('clear') ? 'clear' : null),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('app')
+      .setDescription('Track where an application is in the pipeline')
+      .addSubcommand(sub => sub
+        .setName('status')
+        .setDescription('Move an application to another stage')
+        .addStringOption(o => o.setName('application').setDescription('Number from /myapplications, or the company').setRequired(true).setAutocomplete(true))
+        .addStringOption(o => o
+          .setName('stage')
+          .setDescription('New stage')
+          .setRequired(true)
+          .addChoices(...APPLICATION_STATUSES.map(status => ({ name: `${status.emoji} ${status.label}`, value: status.key }))))
+        .addStringOption(o => o.setName('date').setDescription('Interview date, YYYY-MM-DD (OA, phone and onsite only)').setMinLength(10).setMaxLength(10)))
+      .addSubcommand(sub => sub
+        .setName('note')
+        .setDescription('Add a note to an application')
+        .addStringOption(o => o.setName('application').setDescription('Number from /myapplications, or the company').setRequired(true).setAutocomplete(true))
+        .addStringOption(o => o.setName('text').setDescription('The note').setRequired(true).setMaxLength(MAX_NOTE_LENGTH)))
+      .addSubcommand(sub => sub
+        .setName('view')
+        .setDescription('See an application\'s timeline and notes')
+        .addStringOption(o => o.setName('application').setDescription('Number from /myapplications, or the company').setRequired(true).setAutocomplete(true))),
+    toCommandLine: options => toCommandLine(
+      'app',
+      options.getSubcommand(),
+      quoteArgument(options.getString('application')),
+      options.getString('stage'),
+      options.getString('date'),
+      options.getString('text')
+    ),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('tasks')
+      .setDescription('Set or view your tasks for today')
+      .addSubcommand(sub => sub
+        .setName('set')
+        .setDescription('Set your tasks for today')
+        .addStringOption(o => o.setName('tasks').setDescription('Your tasks, separated by semicolons').setRequired(true)))
+      .addSubcommand(sub => sub.setName('view').setDescription('View your tasks for today')),
+    // Slash options can't hold line breaks, so semicolons stand in for the one-task-per-line format
+    toCommandLine: options => options.getSubcommand() === 'set'
+      ? toCommandLine('tasks', 'set', options.getString('tasks').split(/\s*;\s*/).join('\n'))
+      : toCommandLine('tasks', 'view'),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('done')
+      .setDescription('Mark a task as complete')
+      .addIntegerOption(o => o.setName('task').setDescription('Task number').setRequired(true).setMinValue(1)),
+    toCommandLine: options => toCommandLine('done', options.getInteger('task')),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('undo')
+      .setDescription('Unmark a completed task')
+      .addIntegerOption(o => o.setName('task').setDescription('Task number').setRequired(true).setMinValue(1)),
+    toCommandLine: options => toCommandLine('undo', options.getInteger('task')),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('leaderboard')
+      .setDescription('View a leaderboard')
+      .addStringOption(o => o.setName('type').setDescription('Which leaderboard (default today)').setAutocomplete(true)),
+    toCommandLine: options => toCommandLine('leaderboard', options.getString('type')),
+  },
+  {
+    builder: new SlashCommandBuilder().setName('profile').setDescription('View your profile'),
+    toCommandLine: () => toCommandLine('profile'),
+  },
+  {
+    builder: new SlashCommandBuilder().setName('streak').setDescription('View your streak'),
+    toCommandLine: () => toCommandLine('streak'),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('team')
+      .setDescription('Join, leave or view your team')
+      .addSubcommand(sub => sub
+        .setName('join')
+        .setDescription('Join a team (or create it)')
+        .addStringOption(o => o.setName('team').setDescription('Team name').setRequired(true).setAutocomplete(true).setMaxLength(50)))
+      .addSubcommand(sub => sub.setName('leave').setDescription('Leave your team'))
+      .addSubcommand(sub => sub.setName('stats').setDescription('View your team\'s stats')),
+    toCommandLine: options => toCommandLine('team', options.getSubcommand(), options.getString('team')),
+  },
+  {
+    builder: new SlashCommandBuilder()
+      .setName('alert')
+      .setDescription('Get DMs when new listings match a saved search')
+      .addSubcommand(sub => sub
+        .setName('add')
+        .setDescription('Save a search to be alerted about')
+        .addStringOption(o => o.setName('query').setDescription('Search terms, e.g. cat:quant loc:nyc or company:stripe').setRequired(true)))
+      .addSubcommand(sub => sub.setName('list').setDescription('View your alerts'))
+      .addSubcommand(sub => sub
+        .setName('remove')
+        .setDescription('Delete an alert')
+        .addIntegerOption(o => o.setName('id').setDescription('Alert number from /alert list').setRequired(true).setMinValue(1)))
+      .addSubcommand(sub => sub
+        .setName('quiet')
+        .setDescription('Hold alerts during quiet hours')
+        .addStringOption(o => o.setName('hours').setDescription('e.g. 22-8 or 10pm-7am, or off').setRequired(true))
+        .addStringOption(o => o.setName('timezone').setDescription('e.g. America/New_York (default UTC)')))
+      .addSubcommand(sub => sub
+        .setName('cap')
+        .setDescription('Limit how many alerts you get per day')
+        .addIntegerOption(o => o.setName('limit').setDescription('Alerts per day').setRequired(true).setMinValue(1).setMaxValue(MAX_DAILY_CAP))),
+    toCommandLine: options => toCommandLine(
+      'alert',
+      options.getSubcommand(),
+      options.getString('query'),
+      options.getInteger('id'),
+      options.getString('hours'),
+      options.getString('timezone'),
+      options.getInteger('limit')
+    ),
+  },
+  {
+    // Everyone can view the settings with `?config`; Discord only offers the slash command to admins
+    builder: new SlashCommandBuilder()
+      .setName('config')
+      .setDescription('View or change this server\'s settings')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .setDMPermission(false)
+      .addStringOption(o => o
+        .setName('setting')
+        .setDescription('Setting to change')
+        .addChoices(...Object.entries(SERVER_SETTINGS).map(([name, setting]) => ({ name: `${name}: ${setting.description}`.slice(0, 100), value: name }))))
+      .addStringOption(o => o
+        .setName('value')
+        .setDescription('Turn it on or off')
+        .addChoices({ name: 'on', value: 'on' }, { name: 'off', value: 'off' })),
+    toCommandLine: options => toCommandLine('config', options.getString('setting'), options.getString('value')),
+  },
+  {
+    builder: new SlashCommandBuilder().setName('help').setDescription('Show all commands'),
+    toCommandLine: () => toCommandLine('help'),
+  },
+];
+
+/**
+ * The user's applications as autocomplete choices: "#3 Stripe - SWE Intern (New York, NY)" -> "3"
+ */
+async function suggestApplications(interaction) {
+  const applications = await getUserApplications(interaction.user.id);
+  const entries = new Map((await getCatalogEntries(applications.map(a => a.listingId))).map(entry => [entry.id, entry]));
+  
+  return applications.map(application => {
+    const entry = entries.get(application.listingId);
+    return {
+      name: entry ? `#${application.number} ${entry.company} - ${entry.role} (${entry.location})` : `#${application.number}`,
+      value: String(application.number),
+    };
+  });
+}
+
+/**
+ * Suggestions for each autocompleted option, by option name: strings, or { name, value } choices
+ */
+const AUTOCOMPLETE = {
+  query: async () => (await getCatalogListings()).map(listing => listing.company),
+  category: async () => (await getCatalogListings()).map(listing => listing.category),
+  source: async () => (await getSources()).map(source => source.id),
+  team: async () => Object.values(await loadTeams()).map(team => team.name),
+  type: async () => LEADERBOARD_TYPES,
+  application: suggestApplications,
+};
+
+/**
+ * JSON for registering every slash command that has a `?` equivalent
+ */
+export function getSlashCommands() {
+  return COMMANDS.map(command => command.builder.toJSON());
+}
+
+/**
+ * Check whether a slash command is one of these (rather than /check or /stats)
+ */
+export function isSlashCommand(commandName) {
+  return COMMANDS.some(command => command.builder.name === commandName);
+}
+
+/**
+ * Make an interaction look like the message a `?` handler expects:
+ * the first reply fills in the deferred reply, later replies and channel messages become follow-ups
+ */
+function createInteractionMessage(interaction, content) {
+  let replied = false;
+  
+  return {
+    content,
+    author: interaction.user,
+    guildId: interaction.guildId,
+    member: interaction.member,
+    reply: async payload => {
+      if (replied) {
+        return interaction.followUp(payload);
+      }
+      replied = true;
+      return interaction.editReply(payload);
+    },
+    channel: {
+      // The deferred reply already shows "thinking…"
+      sendTyping: async () => {},
+      send: payload => interaction.followUp(payload),
+    },
+  };
+}
+
+/**
+ * Run a slash command through its `?` handler
+ */
+export async function handleSlashCommand(interaction) {
+  const command = COMMANDS.find(c => c.builder.name === interaction.commandName);
+  const commandLine = command.toCommandLine(interaction.options);
+  
+  // Handlers can take a while (fetching listings), and Discord wants an answer within 3 seconds
+  await interaction.deferReply();
+  
+  console.log(`⌨️ ${interaction.user.username} used /${interaction.commandName} (${commandLine})`);
+  await handleMessageCommand(createInteractionMessage(interaction, commandLine));
+}
+
+/**
+ * Answer autocomplete for a slash command option with up to 25 matches,
+ * the ones starting with what was typed first
+ */
+export async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const typed = focused.value.trim().toLowerCase();
+  const suggest = AUTOCOMPLETE[focused.name];
+  
+  try {
+    const values = [...new Set(suggest ? await suggest(interaction) : [])].filter(Boolean);
+    const choices = values.map(value => typeof value === 'string' ? { name: value, value } : value);
+    const matches = choices
+      .filter(choice => choice.name.toLowerCase().includes(typed))
+      .sort((a, b) =>
+        Number(!a.name.toLowerCase().startsWith(typed)) - Number(!b.name.toLowerCase().startsWith(typed)) ||
+        a.name.localeCompare(b.name, undefined, { numeric: true })
+      )
+      .slice(0, 25);
+    
+    await interaction.respond(matches.map(choice => ({ name: choice.name.slice(0, 100), value: choice.value.slice(0, 100) })));
+  } catch (error) {
+    console.error(`Error answering autocomplete for /${interaction.commandName}:`, error);
+    await interaction.respond([]).catch(() => {});
+  }
+}
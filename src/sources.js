@@ -0,0 +1,202 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const defaultSourcesFile = path.join(__dirname, '../sources.json');
+
+// Sections of the SimplifyJobs internship README, used when a source doesn't define its own
+export const DEFAULT_SECTIONS = [
+  { header: '💻 Software Engineering Internship Roles', category: '💻 Software Engineering', emoji: '💻' },
+  { header: '📱 Product Management', category: '📱 Product Management', emoji: '📱' },
+  { header: '🤖 Data Science, AI & Machine Learning', category: '🤖 Data Science, AI & ML', emoji: '🤖' },
+  { header: '📈 Quantitative Finance', category: '📈 Quantitative Finance', emoji: '📈' },
+  { header: '🔧 Hardware Engineering', category: '🔧 Hardware Engineering', emoji: '🔧' },
+];
+
+let cachedSources = null;
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a section config entry into the { pattern, category, emoji } shape used by the parser
+ */
+function buildSection(section) {
+  const pattern = section.pattern
+    ? new RegExp(section.pattern)
+    : new RegExp(`## ${escapeRegExp(section.header)}[\\s\\S]*?(?=## |$)`);
+  
+  return {
+    pattern,
+    category: section.category || section.header,
+    emoji: section.emoji || '💼',
+  };
+}
+
+/**
+ * Work out how a source posts new listings: one message each (immediate), a digest
+ * once a batch is bigger than a threshold, or a digest on a fixed schedule
+ */
+function buildPosting(posting = {}) {
+  const mode = posting.mode || process.env.POSTING_MODE || 'immediate';
+  
+  if (!['immediate', 'threshold', 'scheduled'].includes(mode)) {
+    throw new Error(`Invalid posting mode "${mode}" (use immediate, threshold or scheduled)`);
+  }
+  
+  return {
+    mode,
+    threshold: posting.threshold ?? (parseInt(process.env.DIGEST_THRESHOLD) || 5),
+    intervalMinutes: posting.intervalMinutes ?? (parseInt(process.env.DIGEST_INTERVAL_MINUTES) || 60),
+  };
+}
+
+// Where each source type reads its listings from, unless the source sets `file`
+const DEFAULT_FILES = {
+  readme: 'README.md',
+  json: '.github/scripts/listings.json',
+};
+
+/**
+ * Normalize a raw source config entry, filling in defaults
+ */
+function normalizeSource(raw, index) {
+  const id = String(raw.id || `source-${index + 1}`).toLowerCase();
+  
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Invalid source id "${raw.id}" (use lowercase letters, numbers and dashes)`);
+  }
+  
+  if (!raw.path && (!raw.owner || !raw.repo)) {
+    throw new Error(`Source "${id}" is missing owner and repo (or a local path)`);
+  }
+  
+  // Local .json files are listings.json snapshots unless the type says otherwise
+  const type = raw.type || (raw.path?.endsWith('.json') ? 'json' : 'readme');
+  if (!DEFAULT_FILES[type]) {
+    throw new Error(`Invalid type "${raw.type}" for source "${id}" (use readme or json)`);
+  }
+  
+  return {
+    id,
+    name: raw.name || (raw.path ? path.basename(raw.path) : `${raw.owner}/${raw.repo}`),
+    owner: raw.owner,
+    repo: raw.repo,
+    branch: raw.branch || 'dev',
+    type,
+    file: raw.file || (raw.path ? path.basename(raw.path) : DEFAULT_FILES[type]),
+    // A local file, or a directory of snapshots read one per check, instead of GitHub
+    path: raw.path ? path.resolve(raw.path) : null,
+    // Only used by json sources: terms to keep (e.g. ["Summer 2026"]), all when empty
+    terms: raw.terms || [],
+    channelId: raw.channelId || process.env.DISCORD_CHANNEL_ID,
+    sections: (raw.sections && raw.sections.length > 0 ? raw.sections : DEFAULT_SECTIONS).map(buildSection),
+    posting: buildPosting(raw.posting),
+  };
+}
+
+/**
+ * Build the single source described by the legacy GITHUB_* environment variables
+ */
+function legacySource() {
+  return {
+    id: 'main',
+    name: 'Summer 2026 Internships',
+    owner: process.env.GITHUB_REPO_OWNER || 'SimplifyJobs',
+    repo: process.env.GITHUB_REPO_NAME || 'Summer2026-Internships',
+    branch: process.env.GITHUB_BRANCH || 'dev',
+    type: process.env.GITHUB_SOURCE_TYPE || 'readme',
+  };
+}
+
+/**
+ * Read the raw source list from LISTING_SOURCES, SOURCES_FILE or sources.json
+ */
+async function readSourceConfig() {
+  if (process.env.LISTING_SOURCES) {
+    return JSON.parse(process.env.LISTING_SOURCES);
+  }
+  
+  const filePath = process.env.SOURCES_FILE || defaultSourcesFile;
+  
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.SOURCES_FILE) {
+      return [legacySource()];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load all configured listing sources
+ */
+export async function getSources() {
+  if (cachedSources) {
+    return cachedSources;
+  }
+  
+  const raw = await readSourceConfig();
+  const list = Array.isArray(raw) ? raw : raw.sources || [];
+  
+  if (list.length === 0) {
+    throw new Error('No listing sources configured');
+  }
+  
+  const sources = list.map(normalizeSource);
+  
+  const ids = new Set();
+  for (const source of sources) {
+    if (ids.has(source.id)) {
+      throw new Error(`Duplicate source id "${source.id}"`);
+    }
+    ids.add(source.id);
+  }
+  
+  cachedSources = sources;
+  return cachedSources;
+}
+
+/**
+ * Where a source reads its listings from, for logs and /stats
+ */
+export function describeSource(source) {
+  return source.path
+    ? `local ${source.path}`
+    : `${source.owner}/${source.repo}@${source.branch}/${source.file}`;
+}
+
+/**
+ * Find a source by id (case-insensitive)
+ */
+export async function getSource(sourceId) {
+  if (!sourceId) return null;
+  
+  const sources = await getSources();
+  return sources.find(s => s.id === sourceId.toLowerCase()) || null;
+}
+
+/**
+ * Pull a `--source <id>` option out of a command argument string
+ */
+export function extractSourceOption(args) {
+  const match = (args || '').match(/(?:^|\s)--source[\s=]+(\S+)/i);
+  
+  if (!match) {
+    return { sourceId: null, rest: (args || '').trim() };
+  }
+  
+  return {
+    sourceId: match[1].toLowerCase(),
+    rest: args.replace(match[0], ' ').replace(/\s+/g, ' ').trim(),
+  };
+}
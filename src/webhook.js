@@ -0,0 +1,161 @@
+import http from 'http';
+import crypto from 'crypto';
+import { getSources } from './sources.js';
+import { checkForUpdates } from './github-monitor.js';
+
+// Push payloads list commits, not file contents, so anything bigger than this isn't from GitHub
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Verify GitHub's X-Hub-Signature-256 header (HMAC-SHA256 of the raw body)
+ */
+export function verifySignature(secret, body, signatureHeader) {
+  if (!signatureHeader || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+  
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const received = Buffer.from(signatureHeader);
+  
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Work out which sources a push payload touches
+ * Returns a map of source id -> pushed commit SHA
+ */
+export function findPushedSources(sources, payload) {
+  const pushed = new Map();
+  const repoName = payload.repository?.full_name?.toLowerCase();
+  
+  // Branch deletions have nothing to fetch
+  if (!repoName || payload.deleted || !payload.after || /^0+$/.test(payload.after)) {
+    return pushed;
+  }
+  
+  for (const source of sources) {
+    if (!source.path && `${source.owner}/${source.repo}`.toLowerCase() === repoName && payload.ref === `refs/heads/${source.branch}`) {
+      pushed.set(source.id, payload.after);
+    }
+  }
+  
+  return pushed;
+}
+
+/**
+ * Read a request body, giving up once it passes MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Handle one webhook delivery
+ * GitHub gives up after 10 seconds, so pushes are acknowledged before the check runs
+ */
+async function handleWebhookRequest(req, res, { client, channelId, secret, webhookPath }) {
+  const reply = (status, text) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(text);
+  };
+  
+  if (req.method !== 'POST' || req.url.split('?')[0] !== webhookPath) {
+    return reply(404, 'Not found');
+  }
+  
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    return reply(413, 'Payload too large');
+  }
+  
+  if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+    const deliveryId = req.headers['x-github-delivery'];
+    console.log(`🚫 Rejected webhook delivery${deliveryId ? ` ${deliveryId}` : ''} with a bad signature`);
+    return reply(401, 'Invalid signature');
+  }
+  
+  const event = req.headers['x-github-event'];
+  
+  if (event === 'ping') {
+    return reply(200, 'pong');
+  }
+  
+  if (event !== 'push') {
+    return reply(202, `Ignored ${event} event`);
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf-8'));
+  } catch (error) {
+    return reply(400, 'Invalid JSON');
+  }
+  
+  const pushedRefs = findPushedSources(await getSources(), payload);
+  
+  if (pushedRefs.size === 0) {
+    return reply(202, 'No monitored source on this branch');
+  }
+  
+  reply(202, `Checking ${[...pushedRefs.keys()].join(', ')}`);
+  
+  console.log(`📬 Push to ${payload.repository.full_name}@${payload.ref.replace('refs/heads/', '')} (${payload.after.slice(0, 7)}), checking ${[...pushedRefs.keys()].join(', ')}`);
+  await checkForUpdates(client, channelId, pushedRefs);
+}
+
+/**
+ * Start the GitHub push webhook receiver when WEBHOOK_PORT is set
+ * Polling keeps running alongside it as a fallback for missed deliveries
+ */
+export function startWebhookServer(client, channelId) {
+  const port = parseInt(process.env.WEBHOOK_PORT);
+  
+  if (!port) {
+    return null;
+  }
+  
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ WEBHOOK_PORT is set but WEBHOOK_SECRET is not; the webhook receiver is disabled');
+    return null;
+  }
+  
+  const webhookPath = process.env.WEBHOOK_PATH || '/github-webhook';
+  
+  const server = http.createServer((req, res) => {
+    handleWebhookRequest(req, res, { client, channelId, secret, webhookPath }).catch(error => {
+      console.error('Error handling webhook delivery:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal error');
+      }
+    });
+  });
+  
+  server.on('error', error => {
+    console.error('❌ Webhook receiver error:', error);
+  });
+  
+  server.listen(port, () => {
+    console.log(`📬 Listening for GitHub push webhooks on port ${port} at ${webhookPath}`);
+  });
+  
+  return server;
+}